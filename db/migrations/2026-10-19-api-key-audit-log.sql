@@ -0,0 +1,22 @@
+-- Who managed API keys, and every write performed with one
+CREATE TABLE IF NOT EXISTS api_key_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+  action TEXT NOT NULL,
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('admin', 'api_key')),
+  actor_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  actor_username TEXT,
+  method TEXT,
+  route TEXT,
+  hive_tag TEXT,
+  status_code INTEGER,
+  result TEXT NOT NULL CHECK (result IN ('success', 'failure')),
+  details JSONB,
+  ip_address TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS api_key_audit_log_created_at_idx ON api_key_audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS api_key_audit_log_api_key_idx ON api_key_audit_log (api_key_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS api_key_audit_log_hive_tag_idx ON api_key_audit_log (hive_tag, created_at DESC)
+  WHERE hive_tag IS NOT NULL;
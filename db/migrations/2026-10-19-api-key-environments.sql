@@ -0,0 +1,12 @@
+-- Test vs live API keys. Communities written with a test key are sandbox
+-- rows: same hive_tag namespace, but never returned to live callers.
+-- Memberships follow the community they point at.
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS environment TEXT NOT NULL DEFAULT 'live'
+  CHECK (environment IN ('live', 'test'));
+UPDATE api_keys SET environment = 'test' WHERE key_prefix LIKE 'htx\_test\_%';
+
+ALTER TABLE communities ADD COLUMN IF NOT EXISTS is_sandbox BOOLEAN NOT NULL DEFAULT false;
+
+-- A tag can exist once live and once in the sandbox
+ALTER TABLE communities DROP CONSTRAINT IF EXISTS communities_hive_tag_key;
+CREATE UNIQUE INDEX IF NOT EXISTS communities_hive_tag_sandbox_key ON communities (hive_tag, is_sandbox);
@@ -0,0 +1,3 @@
+-- Optional per-key restrictions; NULL means unrestricted
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS allowed_cidrs TEXT[];
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS allowed_hive_tags TEXT[];
@@ -0,0 +1,6 @@
+-- API key rotation: the new key points at the key it replaces, and the old
+-- key keeps working until retires_at
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS rotated_from_id INTEGER REFERENCES api_keys(id);
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS retires_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS api_keys_retires_at_idx ON api_keys (retires_at) WHERE retires_at IS NOT NULL;
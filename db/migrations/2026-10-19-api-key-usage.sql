@@ -0,0 +1,13 @@
+-- Per-key request quotas (NULL = unlimited) and daily usage per route,
+-- flushed from the Redis counters by apiKeyUsageService
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS daily_quota INTEGER CHECK (daily_quota > 0);
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS monthly_quota INTEGER CHECK (monthly_quota > 0);
+
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  api_key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  usage_date DATE NOT NULL,
+  route TEXT NOT NULL,
+  request_count BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (api_key_id, usage_date, route)
+);
@@ -0,0 +1,29 @@
+-- Driver documents (license, registration, insurance, background check).
+-- Every upload is a new row; the newest row per type is the driver's current one.
+-- pending -> approved | rejected by a reviewer; approved -> expired once expires_on has passed.
+CREATE TABLE IF NOT EXISTS driver_documents (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  document_type TEXT NOT NULL
+    CHECK (document_type IN ('driver_license', 'vehicle_registration', 'insurance', 'background_check')),
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'rejected', 'expired')),
+  storage_key TEXT NOT NULL,
+  file_name TEXT,
+  content_type TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  checksum_sha256 CHAR(64) NOT NULL,
+  -- Last day the document is valid
+  expires_on DATE,
+  uploaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  rejection_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS driver_documents_user_type_idx
+  ON driver_documents (user_id, document_type, uploaded_at DESC);
+CREATE INDEX IF NOT EXISTS driver_documents_pending_idx
+  ON driver_documents (uploaded_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS driver_documents_expiry_idx
+  ON driver_documents (expires_on) WHERE status = 'approved';
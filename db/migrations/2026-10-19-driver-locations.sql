@@ -0,0 +1,18 @@
+-- Driver location history, partitioned by month on recorded_at. Monthly
+-- partitions (driver_locations_YYYY_MM) are created on demand by
+-- locationHistoryService before it writes into a new month.
+CREATE TABLE IF NOT EXISTS driver_locations (
+  driver_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  latitude DOUBLE PRECISION NOT NULL,
+  longitude DOUBLE PRECISION NOT NULL,
+  speed REAL,
+  heading REAL,
+  accuracy REAL,
+  recorded_at TIMESTAMPTZ NOT NULL,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+) PARTITION BY RANGE (recorded_at);
+
+CREATE INDEX IF NOT EXISTS driver_locations_driver_time_idx ON driver_locations (driver_id, recorded_at);
+
+-- When last_lat/last_long were reported, so older pings never overwrite newer ones
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_location_at TIMESTAMPTZ;
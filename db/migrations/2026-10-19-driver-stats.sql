@@ -0,0 +1,29 @@
+-- Durable dispatch log: one row per driver answer (or timeout) to a ride offer
+CREATE TABLE IF NOT EXISTS dispatch_responses (
+  id BIGSERIAL PRIMARY KEY,
+  ride_request_id INTEGER NOT NULL REFERENCES ride_requests(id) ON DELETE CASCADE,
+  driver_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  response TEXT NOT NULL CHECK (response IN ('accept', 'decline', 'timeout')),
+  responded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS dispatch_responses_driver_idx ON dispatch_responses (driver_id, responded_at);
+
+-- Trip ratings, one per participant per trip
+CREATE TABLE IF NOT EXISTS ratings (
+  id BIGSERIAL PRIMARY KEY,
+  ride_request_id INTEGER NOT NULL REFERENCES ride_requests(id) ON DELETE CASCADE,
+  rater_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ratee_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  rater_role TEXT NOT NULL CHECK (rater_role IN ('driver', 'passenger')),
+  score SMALLINT NOT NULL CHECK (score BETWEEN 1 AND 5),
+  comment TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (ride_request_id, rater_id)
+);
+
+CREATE INDEX IF NOT EXISTS ratings_ratee_idx ON ratings (ratee_id);
+
+-- Trip timing and measured distance (km) for drive time and distance stats
+ALTER TABLE ride_requests ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ;
+ALTER TABLE ride_requests ADD COLUMN IF NOT EXISTS actual_distance NUMERIC(10, 2);
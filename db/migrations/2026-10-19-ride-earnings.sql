@@ -0,0 +1,15 @@
+-- What a trip actually paid the driver
+ALTER TABLE ride_requests ADD COLUMN IF NOT EXISTS final_fare NUMERIC(14, 3);
+ALTER TABLE ride_requests ADD COLUMN IF NOT EXISTS tip_amount NUMERIC(14, 3) NOT NULL DEFAULT 0;
+ALTER TABLE ride_requests ADD COLUMN IF NOT EXISTS cancellation_fee NUMERIC(14, 3) NOT NULL DEFAULT 0;
+-- HBD, HIVE or a fiat ISO 4217 code, chosen by the rider when requesting the ride
+ALTER TABLE ride_requests ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'HBD';
+ALTER TABLE ride_requests ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+ALTER TABLE ride_requests ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+ALTER TABLE ride_requests ADD COLUMN IF NOT EXISTS cancelled_by TEXT;
+ALTER TABLE ride_requests ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS ride_requests_driver_completed_idx ON ride_requests (driver_id, completed_at)
+  WHERE status = 'completed';
+CREATE INDEX IF NOT EXISTS ride_requests_driver_cancelled_idx ON ride_requests (driver_id, cancelled_at)
+  WHERE status = 'cancelled';
@@ -0,0 +1,49 @@
+-- One row per signed-in device. A session owns one refresh token family
+-- (refresh_tokens.family_id = sessions.id) and its push token.
+CREATE TABLE IF NOT EXISTS sessions (
+  id UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  device_name VARCHAR(100),
+  platform VARCHAR(20),
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  auth_method VARCHAR(32) NOT NULL,
+  push_token TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS sessions_user_idx ON sessions (user_id);
+CREATE INDEX IF NOT EXISTS sessions_push_token_idx ON sessions (push_token);
+
+-- Backfill sessions for refresh token families issued before this migration
+INSERT INTO sessions (id, user_id, auth_method, created_at, last_seen_at, revoked_at)
+SELECT DISTINCT ON (family_id)
+  family_id, user_id, auth_method, created_at, created_at, revoked_at
+FROM refresh_tokens
+ORDER BY family_id, created_at DESC
+ON CONFLICT (id) DO NOTHING;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'refresh_tokens_session_fk') THEN
+    ALTER TABLE refresh_tokens
+      ADD CONSTRAINT refresh_tokens_session_fk
+      FOREIGN KEY (family_id) REFERENCES sessions(id) ON DELETE CASCADE;
+  END IF;
+END $$;
+
+-- Carry existing single-device push tokens over to the newest session
+UPDATE sessions s SET push_token = u.fcm_token
+FROM users u
+WHERE u.id = s.user_id
+  AND u.fcm_token IS NOT NULL
+  AND s.push_token IS NULL
+  AND s.revoked_at IS NULL
+  AND s.id = (
+    SELECT id FROM sessions
+    WHERE user_id = u.id AND revoked_at IS NULL
+    ORDER BY last_seen_at DESC
+    LIMIT 1
+  );
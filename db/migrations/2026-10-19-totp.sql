@@ -0,0 +1,18 @@
+-- TOTP two-factor authentication. A row with enabled_at NULL is an
+-- enrollment that hasn't been confirmed with a first code yet.
+CREATE TABLE IF NOT EXISTS user_totp (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  secret VARCHAR(64) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  enabled_at TIMESTAMPTZ
+);
+
+-- Single-use backup codes, stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS totp_backup_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash CHAR(64) NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS totp_backup_codes_user_idx ON totp_backup_codes (user_id);
@@ -0,0 +1,10 @@
+-- Admin role for platform operators, alongside driver and rider
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_type_check') THEN
+    ALTER TABLE users ADD CONSTRAINT users_type_check CHECK (type IN ('driver', 'rider', 'admin'));
+  END IF;
+END $$;
+
+-- Promote an operator manually:
+-- UPDATE users SET type = 'admin' WHERE hive_username = '<operator>';
@@ -7,15 +7,32 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 require('dotenv').config();
 const pool = require('./db');
+const { isTestAuthEnabled } = require('./utils/testAuth');
+const jwtKeys = require('./utils/jwtKeys');
 
 const app = express();
 
+// Behind a load balancer, trust its X-Forwarded-For so req.ip (used by rate
+// limits) is the client address. TRUST_PROXY is a hop count or an Express
+// trust proxy string such as 'loopback'.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', isNaN(trustProxy) ? trustProxy : Number(trustProxy));
+}
+
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors()); // Enable CORS
 app.use(morgan('combined')); // Logging
-app.use(express.json({ limit: '10mb' })); // Parse JSON bodies
-app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
+// Parse JSON bodies, keeping the raw bytes for HMAC request signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
+app.use(express.urlencoded({
+  extended: true,
+  verify: (req, res, buf) => { req.rawBody = buf; }
+})); // Parse URL-encoded bodies
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -26,6 +43,12 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public keys for verifying HiveTaxi access tokens (used by partner services)
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(jwtKeys.getJWKS());
+});
+
 // Swagger documentation routes
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
@@ -48,6 +71,12 @@ app.use('/api/users', require('./routes/users'));
 app.use('/api/communities', require('./routes/communities'));
 app.use('/api/admin', require('./routes/admin'));
 
+// Test-only identity minting (NODE_ENV=test or ENABLE_TEST_AUTH=true, never production)
+if (isTestAuthEnabled()) {
+  console.warn('⚠️  Test auth enabled: /api/test-auth can mint tokens for any user');
+  app.use('/api/test-auth', require('./routes/testAuth'));
+}
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({ 
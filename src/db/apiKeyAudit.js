@@ -0,0 +1,77 @@
+// src/db/apiKeyAudit.js
+// Data access helpers for the API key audit log
+const pool = require('./index');
+
+/**
+ * Record an audit event
+ * @param {object} event - { apiKeyId, action, actorType, actorUserId, actorUsername,
+ *   method, route, hiveTag, statusCode, result, details, ipAddress }
+ */
+async function logAuditEvent(event) {
+  await pool.query(
+    `INSERT INTO api_key_audit_log
+       (api_key_id, action, actor_type, actor_user_id, actor_username, method, route,
+        hive_tag, status_code, result, details, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+    [
+      event.apiKeyId || null,
+      event.action,
+      event.actorType,
+      event.actorUserId || null,
+      event.actorUsername || null,
+      event.method || null,
+      event.route || null,
+      event.hiveTag || null,
+      event.statusCode || null,
+      event.result,
+      event.details ? JSON.stringify(event.details) : null,
+      event.ipAddress || null
+    ]
+  );
+}
+
+/**
+ * Search the audit log, newest first. Every filter is optional.
+ * @param {object} filters - { apiKeyId, action, actorUserId, hiveTag, result, from, to, limit, offset }
+ * @returns {Promise<{entries: object[], total: number}>}
+ */
+async function queryAuditLog(filters) {
+  const conditions = [];
+  const params = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filters.apiKeyId) addCondition('l.api_key_id = ?', filters.apiKeyId);
+  if (filters.action) addCondition('l.action = ?', filters.action);
+  if (filters.actorUserId) addCondition('l.actor_user_id = ?', filters.actorUserId);
+  if (filters.hiveTag) addCondition('l.hive_tag = ?', filters.hiveTag);
+  if (filters.result) addCondition('l.result = ?', filters.result);
+  if (filters.from) addCondition('l.created_at >= ?', filters.from);
+  if (filters.to) addCondition('l.created_at <= ?', filters.to);
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*)::int AS total FROM api_key_audit_log l ${where}`,
+    params
+  );
+
+  const result = await pool.query(
+    `SELECT l.*, k.name AS api_key_name, k.key_prefix
+     FROM api_key_audit_log l
+     LEFT JOIN api_keys k ON k.id = l.api_key_id
+     ${where}
+     ORDER BY l.created_at DESC, l.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, filters.limit, filters.offset]
+  );
+
+  return { entries: result.rows, total: countResult.rows[0].total };
+}
+
+module.exports = {
+  logAuditEvent,
+  queryAuditLog
+};
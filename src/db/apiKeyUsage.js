@@ -0,0 +1,38 @@
+// src/db/apiKeyUsage.js
+// Data access helpers for per-key daily usage counts
+const pool = require('./index');
+
+/**
+ * Store the running count for a key, day and route. Counts come from Redis
+ * and are cumulative for the day, so the row is replaced rather than added
+ * to; it never goes down, in case Redis lost its counters.
+ */
+async function upsertUsage(apiKeyId, usageDate, route, requestCount) {
+  await pool.query(
+    `INSERT INTO api_key_usage (api_key_id, usage_date, route, request_count)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (api_key_id, usage_date, route)
+     DO UPDATE SET request_count = GREATEST(api_key_usage.request_count, EXCLUDED.request_count),
+                   updated_at = NOW()`,
+    [apiKeyId, usageDate, route, requestCount]
+  );
+}
+
+/**
+ * Get a key's usage per day and route between two dates (inclusive)
+ */
+async function getUsage(apiKeyId, fromDate, toDate) {
+  const result = await pool.query(
+    `SELECT to_char(usage_date, 'YYYY-MM-DD') AS usage_date, route, request_count::int AS request_count
+     FROM api_key_usage
+     WHERE api_key_id = $1 AND usage_date BETWEEN $2 AND $3
+     ORDER BY usage_date DESC, route`,
+    [apiKeyId, fromDate, toDate]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  upsertUsage,
+  getUsage
+};
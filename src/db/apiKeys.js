@@ -13,9 +13,12 @@ function generateAPIKey(environment = 'live') {
 
 /**
  * Create a new API key
+ * options: { environment, dailyQuota, monthlyQuota, allowedCidrs, allowedHiveTags } -
+ * 'live' (default) or 'test' keys; quotas and restrictions are off when omitted
  */
-async function createAPIKey(name, description, scopes = [], expiresInDays = null) {
-  const apiKey = generateAPIKey();
+async function createAPIKey(name, description, scopes = [], expiresInDays = null, options = {}) {
+  const environment = options.environment || 'live';
+  const apiKey = generateAPIKey(environment);
   const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
   const keyPrefix = apiKey.substring(0, 12);
   
@@ -27,10 +30,14 @@ async function createAPIKey(name, description, scopes = [], expiresInDays = null
   }
 
   const result = await pool.query(
-    `INSERT INTO api_keys (key_hash, key_prefix, name, description, scopes, expires_at)
-     VALUES ($1, $2, $3, $4, $5, $6)
-     RETURNING id, name, description, scopes, created_at, expires_at`,
-    [keyHash, keyPrefix, name, description, scopes, expiresAt]
+    `INSERT INTO api_keys (key_hash, key_prefix, name, description, scopes, environment, expires_at,
+                           daily_quota, monthly_quota, allowed_cidrs, allowed_hive_tags)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING id, name, description, scopes, environment, created_at, expires_at, daily_quota, monthly_quota,
+               allowed_cidrs, allowed_hive_tags`,
+    [keyHash, keyPrefix, name, description, scopes, environment, expiresAt,
+     options.dailyQuota || null, options.monthlyQuota || null,
+     options.allowedCidrs || null, options.allowedHiveTags || null]
   );
 
   return {
@@ -43,15 +50,113 @@ async function createAPIKey(name, description, scopes = [], expiresInDays = null
  * List all API keys (without the actual key values)
  */
 async function listAPIKeys() {
+  await retireRotatedKeys();
   const result = await pool.query(
-    `SELECT id, key_prefix, name, description, scopes, is_active, 
-            created_at, last_used_at, expires_at
+    `SELECT id, key_prefix, name, description, scopes, environment, is_active, 
+            created_at, last_used_at, expires_at, rotated_from_id, retires_at,
+            daily_quota, monthly_quota, allowed_cidrs, allowed_hive_tags
      FROM api_keys
      ORDER BY created_at DESC`
   );
   return result.rows;
 }
 
+/**
+ * Get an API key by ID (without the actual key value)
+ */
+async function getAPIKeyById(keyId) {
+  const result = await pool.query(
+    `SELECT id, key_prefix, name, description, scopes, environment, is_active,
+            created_at, last_used_at, expires_at, rotated_from_id, retires_at,
+            daily_quota, monthly_quota, allowed_cidrs, allowed_hive_tags
+     FROM api_keys
+     WHERE id = $1`,
+    [keyId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Rotate an API key: issue a replacement with the same name, scopes and
+ * expiry, linked to the old key, and keep the old key valid for a grace
+ * window so integrations can redeploy without downtime.
+ * Returns null if the key doesn't exist, is inactive, or is already retiring.
+ */
+async function rotateAPIKey(keyId, graceHours) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const oldResult = await client.query(
+      `SELECT * FROM api_keys WHERE id = $1 FOR UPDATE`,
+      [keyId]
+    );
+    const oldKey = oldResult.rows[0];
+    if (!oldKey || !oldKey.is_active || oldKey.retires_at) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const apiKey = generateAPIKey(oldKey.environment);
+    const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
+    const keyPrefix = apiKey.substring(0, 12);
+
+    const newResult = await client.query(
+      `INSERT INTO api_keys (key_hash, key_prefix, name, description, scopes, environment, expires_at,
+                             daily_quota, monthly_quota, allowed_cidrs, allowed_hive_tags, rotated_from_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING id, key_prefix, name, description, scopes, environment, created_at, expires_at, rotated_from_id`,
+      [keyHash, keyPrefix, oldKey.name, oldKey.description, oldKey.scopes, oldKey.environment, oldKey.expires_at,
+       oldKey.daily_quota, oldKey.monthly_quota, oldKey.allowed_cidrs, oldKey.allowed_hive_tags, oldKey.id]
+    );
+
+    const retiringResult = await client.query(
+      `UPDATE api_keys SET retires_at = NOW() + ($2 || ' hours')::interval
+       WHERE id = $1
+       RETURNING id, key_prefix, name, last_used_at, retires_at`,
+      [oldKey.id, String(graceHours)]
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      newKey: { ...newResult.rows[0], api_key: apiKey }, // Only return the plain key once
+      oldKey: retiringResult.rows[0]
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Set a key's quotas and restrictions; null clears a quota or restriction
+ */
+async function updateAPIKeyLimits(keyId, { dailyQuota, monthlyQuota, allowedCidrs, allowedHiveTags }) {
+  const result = await pool.query(
+    `UPDATE api_keys
+     SET daily_quota = $2, monthly_quota = $3, allowed_cidrs = $4, allowed_hive_tags = $5
+     WHERE id = $1
+     RETURNING id, name, daily_quota, monthly_quota, allowed_cidrs, allowed_hive_tags`,
+    [keyId, dailyQuota, monthlyQuota, allowedCidrs, allowedHiveTags]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Deactivate rotated keys whose grace window has passed
+ */
+async function retireRotatedKeys() {
+  const result = await pool.query(
+    `UPDATE api_keys SET is_active = false
+     WHERE is_active = true AND retires_at IS NOT NULL AND retires_at <= NOW()
+     RETURNING id`
+  );
+  return result.rows.map(row => row.id);
+}
+
 /**
  * Revoke/deactivate an API key
  */
@@ -67,5 +172,9 @@ module.exports = {
   generateAPIKey,
   createAPIKey,
   listAPIKeys,
+  getAPIKeyById,
+  rotateAPIKey,
+  updateAPIKeyLimits,
+  retireRotatedKeys,
   revokeAPIKey
 };
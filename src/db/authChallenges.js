@@ -0,0 +1,39 @@
+// src/db/authChallenges.js
+// Redis-backed storage for Hive login challenges, shared by every API instance
+const redisClient = require('./redis');
+
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// One key per challenge, so a user can have several pending logins (one per device)
+function challengeKey(username, challenge) {
+  return `auth:challenge:${username}:${challenge}`;
+}
+
+/**
+ * Store a challenge for a username; it expires after CHALLENGE_TTL_SECONDS
+ */
+async function storeChallenge(username, challenge, timestamp) {
+  await redisClient.sendCommand([
+    'SET',
+    challengeKey(username, challenge),
+    JSON.stringify({ timestamp }),
+    'EX',
+    String(CHALLENGE_TTL_SECONDS)
+  ]);
+  return { challenge, timestamp, expires: timestamp + CHALLENGE_TTL_SECONDS * 1000 };
+}
+
+/**
+ * Atomically fetch and delete a challenge. Returns null if it never existed,
+ * expired, or was already consumed by another request.
+ */
+async function consumeChallenge(username, challenge) {
+  const stored = await redisClient.sendCommand(['GETDEL', challengeKey(username, challenge)]);
+  return stored ? JSON.parse(stored) : null;
+}
+
+module.exports = {
+  CHALLENGE_TTL_SECONDS,
+  storeChallenge,
+  consumeChallenge
+};
@@ -1,35 +1,57 @@
 // src/db/communities.js
-// Data access helpers for communities and user memberships
+// Data access helpers for communities and user memberships.
+// Every helper takes a `sandbox` flag (default false): sandbox communities are
+// written by test API keys and are invisible to live reads.
 const pool = require('./index');
 
 /** Ensure a community exists (idempotent). Returns row. */
-async function ensureCommunity(hiveTag, name, latitude, longitude) {
+async function ensureCommunity(hiveTag, name, latitude, longitude, sandbox = false) {
   const result = await pool.query(
-    `INSERT INTO communities (hive_tag, name, latitude, longitude)
-     VALUES ($1, $2, $3, $4)
-     ON CONFLICT (hive_tag) DO UPDATE SET 
+    `INSERT INTO communities (hive_tag, name, latitude, longitude, is_sandbox)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (hive_tag, is_sandbox) DO UPDATE SET 
        name = COALESCE(EXCLUDED.name, communities.name),
        latitude = COALESCE(EXCLUDED.latitude, communities.latitude),
        longitude = COALESCE(EXCLUDED.longitude, communities.longitude)
      RETURNING *`,
-    [hiveTag, name || null, latitude || null, longitude || null]
+    [hiveTag, name || null, latitude || null, longitude || null, sandbox]
   );
   return result.rows[0];
 }
 
-async function getCommunityByTag(hiveTag) {
-  const result = await pool.query(`SELECT * FROM communities WHERE hive_tag = $1`, [hiveTag]);
+async function getCommunityByTag(hiveTag, sandbox = false) {
+  const result = await pool.query(
+    `SELECT * FROM communities WHERE hive_tag = $1 AND is_sandbox = $2`,
+    [hiveTag, sandbox]
+  );
+  return result.rows[0] || null;
+}
+
+async function getCommunityById(id, sandbox = false) {
+  const result = await pool.query(
+    `SELECT * FROM communities WHERE id = $1 AND is_sandbox = $2`,
+    [id, sandbox]
+  );
   return result.rows[0] || null;
 }
 
+/** List all communities in one environment, by name */
+async function listCommunities(sandbox = false) {
+  const result = await pool.query(
+    `SELECT * FROM communities WHERE is_sandbox = $1 ORDER BY name`,
+    [sandbox]
+  );
+  return result.rows;
+}
+
 /** Add or update a user's membership + role in a community */
-async function addUserToCommunity(hiveUsername, hiveTag, role = 'Driver') {
+async function addUserToCommunity(hiveUsername, hiveTag, role = 'Driver', sandbox = false) {
   // Fetch user id
   const userRes = await pool.query(`SELECT id FROM users WHERE hive_username = $1`, [hiveUsername]);
   if (!userRes.rows[0]) throw new Error('User not found');
   const userId = userRes.rows[0].id;
   // Ensure community
-  const community = await ensureCommunity(hiveTag);
+  const community = await ensureCommunity(hiveTag, null, null, null, sandbox);
   // Upsert membership
   await pool.query(
     `INSERT INTO user_communities (user_id, community_id, role)
@@ -41,46 +63,46 @@ async function addUserToCommunity(hiveUsername, hiveTag, role = 'Driver') {
 }
 
 /** Get user's role for a specific community tag */
-async function getUserCommunityRole(hiveUsername, hiveTag) {
+async function getUserCommunityRole(hiveUsername, hiveTag, sandbox = false) {
   const result = await pool.query(
     `SELECT uc.role
      FROM users u
      JOIN user_communities uc ON uc.user_id = u.id
      JOIN communities c ON c.id = uc.community_id
-     WHERE u.hive_username = $1 AND c.hive_tag = $2`,
-    [hiveUsername, hiveTag]
+     WHERE u.hive_username = $1 AND c.hive_tag = $2 AND c.is_sandbox = $3`,
+    [hiveUsername, hiveTag, sandbox]
   );
   return result.rows[0] || null;
 }
 
 /** List all communities (tag + role) for a user */
-async function listUserCommunities(hiveUsername) {
+async function listUserCommunities(hiveUsername, sandbox = false) {
   const result = await pool.query(
     `SELECT c.hive_tag AS community, uc.role, uc.joined_at
      FROM users u
      JOIN user_communities uc ON uc.user_id = u.id
      JOIN communities c ON c.id = uc.community_id
-     WHERE u.hive_username = $1
+     WHERE u.hive_username = $1 AND c.is_sandbox = $2
      ORDER BY c.hive_tag`,
-    [hiveUsername]
+    [hiveUsername, sandbox]
   );
   return result.rows;
 }
 
 /** List members of a community, optional role filter */
-async function listCommunityMembers(hiveTag, role) {
-  const params = [hiveTag];
+async function listCommunityMembers(hiveTag, role, sandbox = false) {
+  const params = [hiveTag, sandbox];
   let roleClause = '';
   if (role) {
     params.push(role);
-    roleClause = ' AND uc.role = $2';
+    roleClause = ' AND uc.role = $3';
   }
   const result = await pool.query(
     `SELECT u.hive_username, uc.role, uc.joined_at
      FROM communities c
      JOIN user_communities uc ON uc.community_id = c.id
      JOIN users u ON u.id = uc.user_id
-     WHERE c.hive_tag = $1${roleClause}
+     WHERE c.hive_tag = $1 AND c.is_sandbox = $2${roleClause}
      ORDER BY u.hive_username`,
     params
   );
@@ -90,6 +112,8 @@ async function listCommunityMembers(hiveTag, role) {
 module.exports = {
   ensureCommunity,
   getCommunityByTag,
+  getCommunityById,
+  listCommunities,
   addUserToCommunity,
   getUserCommunityRole,
   listUserCommunities,
@@ -0,0 +1,35 @@
+// src/db/dispatchResponses.js
+// Data access helpers for the durable log of driver responses to ride offers
+const pool = require('./index');
+
+/**
+ * Record a driver's response to a ride offer
+ * @param {string} response - 'accept', 'decline' or 'timeout'
+ */
+async function logDispatchResponse(requestId, driverId, response) {
+  await pool.query(
+    `INSERT INTO dispatch_responses (ride_request_id, driver_id, response)
+     VALUES ($1, $2, $3)`,
+    [requestId, driverId, response]
+  );
+}
+
+/**
+ * Count a driver's responses, optionally since a given time
+ */
+async function getDriverResponseCounts(driverId, since = null) {
+  const result = await pool.query(
+    `SELECT COUNT(*) FILTER (WHERE response = 'accept')::int AS accepted,
+            COUNT(*) FILTER (WHERE response = 'decline')::int AS declined,
+            COUNT(*) FILTER (WHERE response = 'timeout')::int AS timed_out
+     FROM dispatch_responses
+     WHERE driver_id = $1 AND ($2::timestamptz IS NULL OR responded_at >= $2)`,
+    [driverId, since]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  logDispatchResponse,
+  getDriverResponseCounts
+};
@@ -0,0 +1,168 @@
+// src/db/driverDocuments.js
+// Uploaded driver documents and their review state. Each upload is a new row;
+// the newest row per document type is the one a driver currently has on file.
+const pool = require('./index');
+
+/**
+ * Record an uploaded document as pending review
+ */
+async function createDocument({ userId, documentType, storageKey, fileName, contentType, sizeBytes, checksum, expiresOn }) {
+  const result = await pool.query(
+    `INSERT INTO driver_documents
+       (user_id, document_type, storage_key, file_name, content_type, size_bytes, checksum_sha256, expires_on)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [userId, documentType, storageKey, fileName || null, contentType, sizeBytes, checksum, expiresOn || null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Get a document by ID
+ */
+async function getDocumentById(id) {
+  const result = await pool.query(
+    `SELECT * FROM driver_documents WHERE id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Newest document of each type for a driver
+ */
+async function getCurrentDocuments(userId) {
+  const result = await pool.query(
+    `SELECT DISTINCT ON (document_type) *
+     FROM driver_documents
+     WHERE user_id = $1
+     ORDER BY document_type, uploaded_at DESC, id DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * The document of each given type that a driver is (or was last) cleared to
+ * drive on: the newest approved or expired one. An approved document whose
+ * expires_on has passed counts as lapsed even before the expiry sweep runs.
+ */
+async function getInForceDocuments(userId, documentTypes) {
+  const result = await pool.query(
+    `SELECT DISTINCT ON (document_type) id, document_type, status, expires_on,
+            (status = 'expired' OR expires_on < CURRENT_DATE) AS lapsed
+     FROM driver_documents
+     WHERE user_id = $1 AND document_type = ANY($2) AND status IN ('approved', 'expired')
+     ORDER BY document_type, uploaded_at DESC, id DESC`,
+    [userId, documentTypes]
+  );
+  return result.rows;
+}
+
+/**
+ * Move a pending document to approved or rejected. Returns null if the
+ * document is not pending (already reviewed, or unknown).
+ */
+async function reviewDocument(id, { status, reviewerId, rejectionReason = null }) {
+  const result = await pool.query(
+    `UPDATE driver_documents
+     SET status = $2, reviewed_by = $3, reviewed_at = NOW(), rejection_reason = $4
+     WHERE id = $1 AND status = 'pending'
+     RETURNING *`,
+    [id, status, reviewerId, rejectionReason]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark approved documents whose last valid day has passed as expired
+ * @returns {Promise<number[]>} IDs of the drivers affected
+ */
+async function expireLapsedDocuments() {
+  const result = await pool.query(
+    `UPDATE driver_documents
+     SET status = 'expired'
+     WHERE status = 'approved' AND expires_on < CURRENT_DATE
+     RETURNING user_id`
+  );
+  return [...new Set(result.rows.map(row => row.user_id))];
+}
+
+/**
+ * List documents a reviewer may see, oldest upload first. Platform admins see
+ * every driver; community admins only members of communities they administer.
+ * @param {object} options
+ * @param {number} options.reviewerId - Reviewing user's ID
+ * @param {boolean} options.allDrivers - True for platform admins
+ * @param {string[]} options.reviewerRoles - Community roles allowed to review
+ * @param {string} [options.status] - Only documents in this state
+ * @param {number} [options.limit]
+ * @param {number} [options.offset]
+ */
+async function listDocumentsForReviewer({ reviewerId, allDrivers, reviewerRoles, status, limit = 50, offset = 0 }) {
+  const conditions = [];
+  const params = [];
+  if (status) {
+    params.push(status);
+    conditions.push(`d.status = $${params.length}`);
+  }
+  if (!allDrivers) {
+    params.push(reviewerId, reviewerRoles);
+    conditions.push(`EXISTS (
+      SELECT 1
+      FROM user_communities member
+      JOIN user_communities reviewer ON reviewer.community_id = member.community_id
+      JOIN communities c ON c.id = member.community_id AND c.is_sandbox = false
+      WHERE member.user_id = d.user_id
+        AND reviewer.user_id = $${params.length - 1}
+        AND reviewer.role = ANY($${params.length})
+    )`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*)::int AS total FROM driver_documents d ${where}`,
+    params
+  );
+
+  const result = await pool.query(
+    `SELECT d.*, u.hive_username
+     FROM driver_documents d
+     JOIN users u ON u.id = d.user_id
+     ${where}
+     ORDER BY d.uploaded_at ASC, d.id ASC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return { documents: result.rows, total: countResult.rows[0].total };
+}
+
+/**
+ * Whether a reviewer holds one of the given roles in a (live) community the
+ * driver belongs to
+ */
+async function canCommunityReview(reviewerId, driverId, reviewerRoles) {
+  const result = await pool.query(
+    `SELECT 1
+     FROM user_communities member
+     JOIN user_communities reviewer ON reviewer.community_id = member.community_id
+     JOIN communities c ON c.id = member.community_id AND c.is_sandbox = false
+     WHERE member.user_id = $1 AND reviewer.user_id = $2 AND reviewer.role = ANY($3)
+     LIMIT 1`,
+    [driverId, reviewerId, reviewerRoles]
+  );
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  createDocument,
+  getDocumentById,
+  getCurrentDocuments,
+  getInForceDocuments,
+  reviewDocument,
+  expireLapsedDocuments,
+  listDocumentsForReviewer,
+  canCommunityReview
+};
@@ -0,0 +1,85 @@
+// src/db/driverLocations.js
+// Data access helpers for driver location history
+const pool = require('./index');
+
+/**
+ * Create the monthly partition covering a date, if it doesn't exist yet
+ * @param {Date} date - Any instant in the month
+ */
+async function ensurePartition(date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+  const name = `driver_locations_${start.toISOString().slice(0, 7).replace('-', '_')}`;
+  // Identifiers and bounds can't be bound parameters; all three are generated above
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS ${name} PARTITION OF driver_locations
+     FOR VALUES FROM ('${start.toISOString()}') TO ('${end.toISOString()}')`
+  );
+  return name;
+}
+
+/**
+ * Insert a batch of pings
+ * @param {object[]} pings - { driverId, latitude, longitude, speed, heading, accuracy, recordedAt }
+ */
+async function insertLocations(pings) {
+  if (pings.length === 0) return;
+  await pool.query(
+    `INSERT INTO driver_locations (driver_id, latitude, longitude, speed, heading, accuracy, recorded_at)
+     SELECT * FROM unnest($1::int[], $2::float8[], $3::float8[], $4::real[], $5::real[], $6::real[], $7::timestamptz[])`,
+    [
+      pings.map(p => p.driverId),
+      pings.map(p => p.latitude),
+      pings.map(p => p.longitude),
+      pings.map(p => p.speed),
+      pings.map(p => p.heading),
+      pings.map(p => p.accuracy),
+      pings.map(p => p.recordedAt)
+    ]
+  );
+}
+
+/**
+ * Move users.last_lat/last_long forward to each driver's newest ping
+ * @param {object[]} pings - One per driver: { driverId, latitude, longitude, recordedAt }
+ */
+async function updateLastKnownLocations(pings) {
+  if (pings.length === 0) return;
+  await pool.query(
+    `UPDATE users u
+     SET last_lat = l.latitude, last_long = l.longitude, last_location_at = l.recorded_at
+     FROM unnest($1::int[], $2::float8[], $3::float8[], $4::timestamptz[])
+       AS l(driver_id, latitude, longitude, recorded_at)
+     WHERE u.id = l.driver_id
+       AND (u.last_location_at IS NULL OR u.last_location_at < l.recorded_at)`,
+    [
+      pings.map(p => p.driverId),
+      pings.map(p => p.latitude),
+      pings.map(p => p.longitude),
+      pings.map(p => p.recordedAt)
+    ]
+  );
+}
+
+/**
+ * Online drivers whose last known location was reported within the given window
+ * @param {number} seconds - Window length
+ */
+async function getRecentLastLocations(seconds) {
+  const result = await pool.query(
+    `SELECT id, last_lat, last_long, last_location_at
+     FROM users
+     WHERE last_location_at > NOW() - ($1 || ' seconds')::interval
+       AND is_online = true
+       AND last_lat IS NOT NULL AND last_long IS NOT NULL`,
+    [String(seconds)]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  ensurePartition,
+  insertLocations,
+  updateLastKnownLocations,
+  getRecentLastLocations
+};
@@ -0,0 +1,40 @@
+// src/db/passwordResets.js
+// Data access helpers for single-use password reset tokens
+const pool = require('./index');
+
+/**
+ * Store a new reset token hash, invalidating any earlier unused tokens for the user
+ */
+async function createPasswordResetToken(userId, tokenHash, expiresAt) {
+  await pool.query(
+    `UPDATE password_reset_tokens SET used_at = NOW()
+     WHERE user_id = $1 AND used_at IS NULL`,
+    [userId]
+  );
+  const result = await pool.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, $3)
+     RETURNING id, user_id, expires_at, created_at`,
+    [userId, tokenHash, expiresAt]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Mark a reset token as used. Returns null if it is unknown, expired or
+ * already used.
+ */
+async function consumePasswordResetToken(tokenHash) {
+  const result = await pool.query(
+    `UPDATE password_reset_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING *`,
+    [tokenHash]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  createPasswordResetToken,
+  consumePasswordResetToken
+};
@@ -0,0 +1,44 @@
+// src/db/ratings.js
+// Data access helpers for trip ratings
+const pool = require('./index');
+
+/**
+ * Save a rating and refresh the ratee's average in users.rating.
+ * Returns null if the rater already rated this trip.
+ */
+async function createRating({ rideRequestId, raterId, rateeId, raterRole, score, comment }) {
+  const result = await pool.query(
+    `INSERT INTO ratings (ride_request_id, rater_id, ratee_id, rater_role, score, comment)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (ride_request_id, rater_id) DO NOTHING
+     RETURNING *`,
+    [rideRequestId, raterId, rateeId, raterRole, score, comment || null]
+  );
+  if (!result.rows[0]) return null;
+
+  await pool.query(
+    `UPDATE users
+     SET rating = (SELECT ROUND(AVG(score)::numeric, 2) FROM ratings WHERE ratee_id = $1)
+     WHERE id = $1`,
+    [rateeId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Average score and count of the ratings passengers gave a driver
+ */
+async function getDriverRatingSummary(driverId) {
+  const result = await pool.query(
+    `SELECT ROUND(AVG(score)::numeric, 2) AS average, COUNT(*)::int AS count
+     FROM ratings
+     WHERE ratee_id = $1 AND rater_role = 'passenger'`,
+    [driverId]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  createRating,
+  getDriverRatingSummary
+};
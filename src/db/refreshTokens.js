@@ -0,0 +1,73 @@
+// src/db/refreshTokens.js
+// Data access helpers for hashed refresh tokens
+const pool = require('./index');
+
+/**
+ * Store a new refresh token hash
+ */
+async function createRefreshToken({ userId, familyId, tokenHash, authMethod, expiresAt }) {
+  const result = await pool.query(
+    `INSERT INTO refresh_tokens (user_id, family_id, token_hash, auth_method, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [userId, familyId, tokenHash, authMethod, expiresAt]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Get a refresh token by its hash
+ */
+async function getRefreshTokenByHash(tokenHash) {
+  const result = await pool.query(
+    `SELECT * FROM refresh_tokens WHERE token_hash = $1`,
+    [tokenHash]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Mark a refresh token as used. Returns null if it was already used or
+ * revoked, so two concurrent refreshes can't both succeed.
+ */
+async function markRefreshTokenUsed(id) {
+  const result = await pool.query(
+    `UPDATE refresh_tokens SET used_at = NOW()
+     WHERE id = $1 AND used_at IS NULL AND revoked_at IS NULL
+     RETURNING *`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Revoke every token in a family
+ */
+async function revokeTokenFamily(familyId) {
+  const result = await pool.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW()
+     WHERE family_id = $1 AND revoked_at IS NULL`,
+    [familyId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Revoke every outstanding refresh token for a user
+ */
+async function revokeUserRefreshTokens(userId) {
+  const result = await pool.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  createRefreshToken,
+  getRefreshTokenByHash,
+  markRefreshTokenUsed,
+  revokeTokenFamily,
+  revokeUserRefreshTokens
+};
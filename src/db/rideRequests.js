@@ -13,6 +13,7 @@ async function createRideRequest({
   estimatedDistance,
   estimatedDuration,
   proposedFare,
+  currency = 'HBD',
   priority = 'normal',
   requestTime = new Date().toISOString(),
   status = 'pending'
@@ -22,9 +23,9 @@ async function createRideRequest({
       passenger_id, passenger_name, passenger_phone,
       pickup_lat, pickup_lng, pickup_address,
       dropoff_lat, dropoff_lng, dropoff_address,
-      estimated_distance, estimated_duration, proposed_fare,
+      estimated_distance, estimated_duration, proposed_fare, currency,
       priority, request_time, status
-    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
     RETURNING *`,
     [
       passengerId,
@@ -39,6 +40,7 @@ async function createRideRequest({
       estimatedDistance,
       estimatedDuration,
       proposedFare,
+      currency,
       priority,
       requestTime,
       status
@@ -69,6 +71,121 @@ async function updateRideRequestStatus(id, status) {
   return result.rows[0];
 }
 
+/**
+ * Assign the accepting driver to a ride request
+ */
+async function assignDriver(id, driverId) {
+  const result = await pool.query(
+    `UPDATE ride_requests SET driver_id = $2, status = 'accepted' WHERE id = $1 RETURNING *`,
+    [id, driverId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Mark a trip started (passenger picked up)
+ */
+async function startRideRequest(id) {
+  const result = await pool.query(
+    `UPDATE ride_requests SET status = 'in_transit', started_at = COALESCE(started_at, NOW())
+     WHERE id = $1 RETURNING *`,
+    [id]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Mark a trip completed with what it paid. finalFare defaults to the proposed fare.
+ */
+async function completeRideRequest(id, { finalFare, tipAmount = 0, actualDistance = null }) {
+  const result = await pool.query(
+    `UPDATE ride_requests
+     SET status = 'completed', completed_at = NOW(),
+         final_fare = COALESCE($2, final_fare, proposed_fare),
+         tip_amount = $3,
+         actual_distance = COALESCE($4, actual_distance)
+     WHERE id = $1
+     RETURNING *`,
+    [id, finalFare ?? null, tipAmount, actualDistance]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Mark a trip cancelled, with the fee charged to the passenger (if any)
+ */
+async function cancelRideRequest(id, { cancelledBy, reason, cancellationFee = 0 }) {
+  const result = await pool.query(
+    `UPDATE ride_requests
+     SET status = 'cancelled', cancelled_at = NOW(), cancelled_by = $2,
+         cancellation_reason = $3, cancellation_fee = $4
+     WHERE id = $1
+     RETURNING *`,
+    [id, cancelledBy, reason, cancellationFee]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Record the fare a driver billed for a trip that is still under way. Once
+ * completed, the fare (with tolls) is already recorded and is left alone.
+ */
+async function setTripPayment(id, { amount }) {
+  const result = await pool.query(
+    `UPDATE ride_requests SET final_fare = $2 WHERE id = $1 AND status <> 'completed' RETURNING *`,
+    [id, amount]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * A driver's earnings between two instants, one row per currency.
+ * Completed trips count by completed_at, cancellations by cancelled_at.
+ * Amounts are what the passenger paid; the driver's share of cancellation
+ * fees is applied by the caller.
+ */
+async function getDriverEarnings(driverId, start, end) {
+  const result = await pool.query(
+    `SELECT currency,
+            COUNT(*) FILTER (WHERE status = 'completed')::int AS trip_count,
+            COALESCE(SUM(COALESCE(final_fare, proposed_fare)) FILTER (WHERE status = 'completed'), 0) AS fares,
+            COALESCE(SUM(tip_amount) FILTER (WHERE status = 'completed'), 0) AS tips,
+            COALESCE(SUM(cancellation_fee) FILTER (WHERE status = 'cancelled'), 0) AS cancellation_fees,
+            COUNT(*) FILTER (WHERE status = 'cancelled' AND cancellation_fee > 0)::int AS paid_cancellations
+     FROM ride_requests
+     WHERE driver_id = $1
+       AND ((status = 'completed' AND completed_at >= $2 AND completed_at < $3)
+         OR (status = 'cancelled' AND cancelled_at >= $2 AND cancelled_at < $3))
+     GROUP BY currency
+     ORDER BY currency`,
+    [driverId, start, end]
+  );
+  return result.rows;
+}
+
+/**
+ * Trip counts, distance (km) and drive time (hours) for a driver, optionally
+ * since a given time. Distance falls back to the estimate when a trip has no
+ * measured distance.
+ */
+async function getDriverTripStats(driverId, since = null) {
+  const result = await pool.query(
+    `SELECT COUNT(*) FILTER (WHERE status = 'completed')::int AS completed,
+            COUNT(*) FILTER (WHERE status = 'cancelled')::int AS cancelled,
+            COUNT(*) FILTER (WHERE status = 'cancelled' AND cancelled_by = 'driver')::int AS cancelled_by_driver,
+            COALESCE(SUM(COALESCE(actual_distance, estimated_distance)) FILTER (WHERE status = 'completed'), 0)
+              AS distance_km,
+            COALESCE(SUM(EXTRACT(EPOCH FROM (completed_at - started_at)) / 3600)
+              FILTER (WHERE status = 'completed' AND started_at IS NOT NULL), 0) AS drive_hours
+     FROM ride_requests
+     WHERE driver_id = $1
+       AND status IN ('completed', 'cancelled')
+       AND ($2::timestamptz IS NULL OR COALESCE(completed_at, cancelled_at) >= $2)`,
+    [driverId, since]
+  );
+  return result.rows[0];
+}
+
 /**
  * Get the active ride request for a driver
  */
@@ -80,9 +197,31 @@ async function getActiveRideRequestForDriver(driverId) {
   return result.rows[0];
 }
 
+/**
+ * The accepted or in-transit trip of each given driver, if any
+ */
+async function getActiveTripsForDrivers(driverIds) {
+  const result = await pool.query(
+    `SELECT DISTINCT ON (driver_id) id, driver_id, status
+     FROM ride_requests
+     WHERE driver_id = ANY($1) AND status IN ('accepted', 'in_transit')
+     ORDER BY driver_id, request_time DESC`,
+    [driverIds]
+  );
+  return result.rows;
+}
+
 module.exports = {
   createRideRequest,
   getRideRequestById,
   updateRideRequestStatus,
-  getActiveRideRequestForDriver
+  assignDriver,
+  startRideRequest,
+  completeRideRequest,
+  cancelRideRequest,
+  setTripPayment,
+  getDriverEarnings,
+  getDriverTripStats,
+  getActiveRideRequestForDriver,
+  getActiveTripsForDrivers
 };
@@ -0,0 +1,127 @@
+// src/db/sessions.js
+// Data access helpers for per-device sessions
+const pool = require('./index');
+
+/**
+ * Create a session for a newly signed-in device
+ */
+async function createSession({ id, userId, deviceName, platform, ipAddress, userAgent, authMethod }) {
+  const result = await pool.query(
+    `INSERT INTO sessions (id, user_id, device_name, platform, ip_address, user_agent, auth_method)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [id, userId, deviceName || null, platform || null, ipAddress || null, userAgent || null, authMethod]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Get a session by id
+ */
+async function getSessionById(id) {
+  const result = await pool.query(`SELECT * FROM sessions WHERE id = $1`, [id]);
+  return result.rows[0];
+}
+
+/**
+ * List a user's active sessions, most recently seen first
+ */
+async function listActiveSessions(userId) {
+  const result = await pool.query(
+    `SELECT id, device_name, platform, ip_address, user_agent, auth_method,
+            push_token IS NOT NULL AS has_push_token, created_at, last_seen_at
+     FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Record activity on a session
+ */
+async function touchSession(id, ipAddress) {
+  await pool.query(
+    `UPDATE sessions SET last_seen_at = NOW(), ip_address = COALESCE($2, ip_address)
+     WHERE id = $1`,
+    [id, ipAddress || null]
+  );
+}
+
+/**
+ * Revoke one of a user's sessions. Returns null if it doesn't belong to the
+ * user or is already revoked.
+ */
+async function revokeSession(id, userId) {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW(), push_token = NULL
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Revoke all of a user's sessions; returns the revoked ids
+ */
+async function revokeUserSessions(userId) {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW(), push_token = NULL
+     WHERE user_id = $1 AND revoked_at IS NULL
+     RETURNING id`,
+    [userId]
+  );
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Attach a push token to a session. A device token belongs to one session
+ * only, so it is removed from any other session that still holds it.
+ */
+async function setSessionPushToken(id, pushToken) {
+  await pool.query(
+    `UPDATE sessions SET push_token = NULL WHERE push_token = $1 AND id <> $2`,
+    [pushToken, id]
+  );
+  const result = await pool.query(
+    `UPDATE sessions SET push_token = $1, last_seen_at = NOW()
+     WHERE id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [pushToken, id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get the push tokens of a user's active sessions
+ */
+async function getActivePushTokens(userId) {
+  const result = await pool.query(
+    `SELECT push_token FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND push_token IS NOT NULL
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return result.rows.map(row => row.push_token);
+}
+
+/**
+ * Forget a push token that FCM reports as no longer registered
+ */
+async function clearPushToken(pushToken) {
+  await pool.query(`UPDATE sessions SET push_token = NULL WHERE push_token = $1`, [pushToken]);
+}
+
+module.exports = {
+  createSession,
+  getSessionById,
+  listActiveSessions,
+  touchSession,
+  revokeSession,
+  revokeUserSessions,
+  setSessionPushToken,
+  getActivePushTokens,
+  clearPushToken
+};
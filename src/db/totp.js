@@ -0,0 +1,97 @@
+// src/db/totp.js
+// Data access helpers for TOTP enrollment and backup codes
+const pool = require('./index');
+
+/**
+ * Get a user's TOTP enrollment (confirmed or pending)
+ */
+async function getTotp(userId) {
+  const result = await pool.query(`SELECT * FROM user_totp WHERE user_id = $1`, [userId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Start (or restart) an unconfirmed enrollment. Returns null if the user
+ * already has TOTP enabled.
+ */
+async function savePendingTotp(userId, secret) {
+  const result = await pool.query(
+    `INSERT INTO user_totp (user_id, secret)
+     VALUES ($1, $2)
+     ON CONFLICT (user_id) DO UPDATE SET secret = EXCLUDED.secret, created_at = NOW()
+       WHERE user_totp.enabled_at IS NULL
+     RETURNING *`,
+    [userId, secret]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Confirm an enrollment
+ */
+async function enableTotp(userId) {
+  const result = await pool.query(
+    `UPDATE user_totp SET enabled_at = NOW() WHERE user_id = $1 AND enabled_at IS NULL RETURNING *`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Remove TOTP and backup codes for a user
+ */
+async function disableTotp(userId) {
+  await pool.query(`DELETE FROM totp_backup_codes WHERE user_id = $1`, [userId]);
+  await pool.query(`DELETE FROM user_totp WHERE user_id = $1`, [userId]);
+  return true;
+}
+
+/**
+ * Replace all backup codes for a user with new hashes
+ */
+async function replaceBackupCodes(userId, codeHashes) {
+  await pool.query(`DELETE FROM totp_backup_codes WHERE user_id = $1`, [userId]);
+  await pool.query(
+    `INSERT INTO totp_backup_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::char(64)[])`,
+    [userId, codeHashes]
+  );
+}
+
+/**
+ * Use up a backup code. Returns null if it doesn't exist or was already used.
+ */
+async function consumeBackupCode(userId, codeHash) {
+  const result = await pool.query(
+    `UPDATE totp_backup_codes SET used_at = NOW()
+     WHERE id = (
+       SELECT id FROM totp_backup_codes
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1
+     )
+     RETURNING id`,
+    [userId, codeHash]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Count unused backup codes
+ */
+async function countRemainingBackupCodes(userId) {
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS remaining FROM totp_backup_codes WHERE user_id = $1 AND used_at IS NULL`,
+    [userId]
+  );
+  return result.rows[0].remaining;
+}
+
+module.exports = {
+  getTotp,
+  savePendingTotp,
+  enableTotp,
+  disableTotp,
+  replaceBackupCodes,
+  consumeBackupCode,
+  countRemainingBackupCodes
+};
@@ -5,12 +5,23 @@ const vehiclesDb = require('./vehicles');
 /**
  * Create a new user (driver or rider)
  */
-async function createUser({ hiveUsername, type, completedTrips = 0, rating = 0, licenseNumber, lastLat, lastLong, phoneNumber, displayName, isOnline }) {
+async function createUser({ hiveUsername, type, completedTrips = 0, rating = 0, licenseNumber, lastLat, lastLong, phoneNumber, displayName, isOnline, email = null, passwordHash = null, firstName = null, lastName = null }) {
   const result = await pool.query(
-    `INSERT INTO users (hive_username, type, completed_trips, rating, license_number, last_lat, last_long, phone_number, display_name, is_online)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `INSERT INTO users (hive_username, type, completed_trips, rating, license_number, last_lat, last_long, phone_number, display_name, is_online, email, password_hash, first_name, last_name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
      RETURNING *`,
-    [hiveUsername, type, completedTrips, rating, licenseNumber, lastLat, lastLong, phoneNumber, displayName, isOnline]
+    [hiveUsername, type, completedTrips, rating, licenseNumber, lastLat, lastLong, phoneNumber, displayName, isOnline, email, passwordHash, firstName, lastName]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Get a user by email (case-insensitive)
+ */
+async function getUserByEmail(email) {
+  const result = await pool.query(
+    `SELECT * FROM users WHERE LOWER(email) = LOWER($1)`,
+    [email]
   );
   return result.rows[0];
 }
@@ -105,6 +116,17 @@ async function updateUserById(id, updates) {
   return result.rows[0];
 }
 
+/**
+ * Replace a user's password hash
+ */
+async function updatePasswordHash(id, passwordHash) {
+  const result = await pool.query(
+    `UPDATE users SET password_hash = $1 WHERE id = $2 RETURNING id`,
+    [passwordHash, id]
+  );
+  return result.rows[0];
+}
+
 /**
  * Get a user by id with optional vehicle info
  */
@@ -147,9 +169,11 @@ async function listUsers(type) {
 module.exports = {
   createUser,
   getUserByUsername,
+  getUserByEmail,
   getUserById,
   updateUser,
   updateUserById,
+  updatePasswordHash,
   deleteUser,
   listUsers
 };
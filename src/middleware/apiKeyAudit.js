@@ -0,0 +1,67 @@
+// src/middleware/apiKeyAudit.js
+// Audit trail for writes made with an API key. Place after the API key
+// authentication middleware; the entry is written once the response is sent,
+// so it records the outcome, including rejections by later middleware.
+const apiKeyAuditDb = require('../db/apiKeyAudit');
+
+/**
+ * @param {string} action - Audit action name, e.g. 'community.registered'
+ * @param {object} [options]
+ * @param {Function} [options.hiveTag] - Returns the community tag the request acts on
+ * @param {Function} [options.details] - Returns extra fields worth keeping
+ */
+function auditAPIKeyWrite(action, options = {}) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      if (!req.apiKey) return;
+      apiKeyAuditDb.logAuditEvent({
+        apiKeyId: req.apiKey.id,
+        action,
+        actorType: 'api_key',
+        method: req.method,
+        route: `${req.baseUrl}${req.route ? req.route.path : ''}`,
+        hiveTag: options.hiveTag && options.hiveTag(req),
+        statusCode: res.statusCode,
+        result: res.statusCode < 400 ? 'success' : 'failure',
+        details: {
+          environment: req.apiKey.environment,
+          ...(options.details && options.details(req))
+        },
+        ipAddress: req.ip
+      }).catch(err => console.error('Error writing API key audit log:', err));
+    });
+    next();
+  };
+}
+
+/**
+ * Record an action an admin took on an API key. Never throws: a failed audit
+ * write is logged but doesn't undo the action.
+ * @param {object} req - Request authenticated with authenticateJWT
+ * @param {string} action - e.g. 'api_key.created'
+ * @param {number} apiKeyId - Key acted on
+ * @param {object} [details] - Extra fields worth keeping
+ */
+async function auditAdminAction(req, action, apiKeyId, details) {
+  try {
+    await apiKeyAuditDb.logAuditEvent({
+      apiKeyId,
+      action,
+      actorType: 'admin',
+      actorUserId: req.user.driverId,
+      actorUsername: req.user.username,
+      method: req.method,
+      route: `${req.baseUrl}${req.route ? req.route.path : ''}`,
+      result: 'success',
+      details,
+      ipAddress: req.ip
+    });
+  } catch (err) {
+    console.error('Error writing API key audit log:', err);
+  }
+}
+
+module.exports = {
+  auditAPIKeyWrite,
+  auditAdminAction
+};
@@ -1,5 +1,107 @@
 const crypto = require('crypto');
 const pool = require('../db');
+const apiKeyUsageService = require('../services/apiKeyUsageService');
+const { isIpAllowed } = require('../utils/ipAllowlist');
+const requestSigning = require('../utils/requestSigning');
+const { hasScope } = require('../utils/scopes');
+const redisClient = require('../db/redis');
+
+const API_KEY_COLUMNS = `id, name, scopes, environment, is_active, expires_at, retires_at,
+              daily_quota, monthly_quota, allowed_cidrs, allowed_hive_tags`;
+
+/**
+ * Label usage by the matched route pattern, not the concrete URL
+ */
+function routeLabel(req) {
+  const routePath = req.route ? req.route.path : '';
+  return `${req.method} ${req.baseUrl}${routePath}`;
+}
+
+/**
+ * Checks shared by every way of presenting a key: active, not expired or
+ * retired, allowed from this IP and within quota. Attaches req.apiKey and
+ * calls next, or sends the error response.
+ */
+async function admitAPIKey(apiKeyRecord, req, res, next) {
+  // Check if key is active
+  if (!apiKeyRecord.is_active) {
+    return res.status(401).json({
+      error: 'API_KEY_INACTIVE',
+      message: 'This API key has been deactivated'
+    });
+  }
+
+  // Check if key has expired
+  if (apiKeyRecord.expires_at && new Date(apiKeyRecord.expires_at) < new Date()) {
+    return res.status(401).json({
+      error: 'API_KEY_EXPIRED',
+      message: 'This API key has expired'
+    });
+  }
+
+  // Check if a rotated key's grace window has passed
+  if (apiKeyRecord.retires_at) {
+    if (new Date(apiKeyRecord.retires_at) <= new Date()) {
+      pool.query(
+        `UPDATE api_keys SET is_active = false WHERE id = $1`,
+        [apiKeyRecord.id]
+      ).catch(err => console.error('Error retiring rotated API key:', err));
+      return res.status(401).json({
+        error: 'API_KEY_RETIRED',
+        message: 'This API key was rotated and its grace period has ended'
+      });
+    }
+    // Let the integration know it is still on the old key
+    res.set('X-API-Key-Retires-At', new Date(apiKeyRecord.retires_at).toISOString());
+  }
+
+  // Check the caller's address against the key's allowlist
+  const allowedCidrs = apiKeyRecord.allowed_cidrs || [];
+  if (allowedCidrs.length > 0 && !isIpAllowed(req.ip, allowedCidrs)) {
+    return res.status(403).json({
+      error: 'IP_NOT_ALLOWED',
+      message: 'This API key cannot be used from this IP address'
+    });
+  }
+
+  // Count the request and enforce quotas; if Redis is down, let it through unmetered
+  try {
+    const usage = await apiKeyUsageService.recordRequest({
+      id: apiKeyRecord.id,
+      dailyQuota: apiKeyRecord.daily_quota,
+      monthlyQuota: apiKeyRecord.monthly_quota
+    }, routeLabel(req));
+
+    if (!usage.allowed) {
+      res.set('Retry-After', String(apiKeyUsageService.secondsUntilReset(usage.period)));
+      return res.status(429).json({
+        error: 'QUOTA_EXCEEDED',
+        message: `This API key has used its ${usage.period === 'day' ? 'daily' : 'monthly'} quota of ${usage.limit} requests`,
+        period: usage.period,
+        limit: usage.limit
+      });
+    }
+  } catch (err) {
+    console.error('Error metering API key usage:', err);
+  }
+
+  // Update last_used_at (async, don't wait)
+  pool.query(
+    `UPDATE api_keys SET last_used_at = NOW() WHERE id = $1`,
+    [apiKeyRecord.id]
+  ).catch(err => console.error('Error updating API key last_used_at:', err));
+
+  // Attach API key info to request
+  req.apiKey = {
+    id: apiKeyRecord.id,
+    name: apiKeyRecord.name,
+    scopes: apiKeyRecord.scopes || [],
+    environment: apiKeyRecord.environment,
+    allowedHiveTags: apiKeyRecord.allowed_hive_tags || []
+  };
+
+  next();
+}
 
 /**
  * Middleware to authenticate requests using API keys
@@ -30,7 +132,7 @@ async function authenticateAPIKey(req, res, next) {
 
     // Look up API key
     const result = await pool.query(
-      `SELECT id, name, scopes, is_active, expires_at 
+      `SELECT ${API_KEY_COLUMNS}
        FROM api_keys 
        WHERE key_prefix = $1 AND key_hash = $2`,
       [prefix, keyHash]
@@ -45,38 +147,107 @@ async function authenticateAPIKey(req, res, next) {
 
     const apiKeyRecord = result.rows[0];
 
-    // Check if key is active
-    if (!apiKeyRecord.is_active) {
+    return admitAPIKey(apiKeyRecord, req, res, next);
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    res.status(500).json({
+      error: 'INTERNAL_ERROR',
+      message: 'Failed to authenticate API key'
+    });
+  }
+}
+
+/**
+ * Middleware to authenticate HMAC-signed requests (see utils/requestSigning).
+ * Each nonce is accepted once per key; a replayed request gets 401.
+ */
+async function authenticateSignedRequest(req, res, next) {
+  try {
+    const keyId = req.headers['x-htx-key-id'];
+    const timestamp = req.headers['x-htx-timestamp'];
+    const nonce = req.headers['x-htx-nonce'];
+    const signature = req.headers['x-htx-signature'];
+
+    if (!keyId || !timestamp || !nonce || !signature) {
       return res.status(401).json({
-        error: 'API_KEY_INACTIVE',
-        message: 'This API key has been deactivated'
+        error: 'MISSING_SIGNATURE_HEADERS',
+        message: 'Signed requests need X-HTX-Key-Id, X-HTX-Timestamp, X-HTX-Nonce and X-HTX-Signature headers'
       });
     }
 
-    // Check if key has expired
-    if (apiKeyRecord.expires_at && new Date(apiKeyRecord.expires_at) < new Date()) {
+    if (!requestSigning.isSigningEnabled()) {
       return res.status(401).json({
-        error: 'API_KEY_EXPIRED',
-        message: 'This API key has expired'
+        error: 'SIGNING_NOT_AVAILABLE',
+        message: 'Request signing is not enabled on this server, use X-API-Key'
       });
     }
 
-    // Update last_used_at (async, don't wait)
-    pool.query(
-      `UPDATE api_keys SET last_used_at = NOW() WHERE id = $1`,
-      [apiKeyRecord.id]
-    ).catch(err => console.error('Error updating API key last_used_at:', err));
+    if (!/^\d+$/.test(keyId) || !requestSigning.isValidNonce(nonce)) {
+      return res.status(401).json({
+        error: 'INVALID_SIGNATURE',
+        message: 'Malformed key id or nonce'
+      });
+    }
 
-    // Attach API key info to request
-    req.apiKey = {
-      id: apiKeyRecord.id,
-      name: apiKeyRecord.name,
-      scopes: apiKeyRecord.scopes || []
-    };
+    if (!requestSigning.isTimestampFresh(timestamp)) {
+      return res.status(401).json({
+        error: 'STALE_TIMESTAMP',
+        message: `X-HTX-Timestamp must be within ${requestSigning.MAX_CLOCK_SKEW_SECONDS} seconds of server time`
+      });
+    }
 
-    next();
+    const stringToSign = requestSigning.buildStringToSign({
+      method: req.method,
+      path: req.originalUrl,
+      timestamp,
+      nonce,
+      body: req.rawBody
+    });
+    const expected = requestSigning.computeSignature(requestSigning.deriveSigningSecret(keyId), stringToSign);
+    if (!requestSigning.signaturesMatch(expected, signature)) {
+      return res.status(401).json({
+        error: 'INVALID_SIGNATURE',
+        message: 'Request signature does not match'
+      });
+    }
+
+    // Remember the nonce for as long as the timestamp would still be accepted
+    let nonceStored;
+    try {
+      nonceStored = await redisClient.sendCommand([
+        'SET', `apikey:nonce:${keyId}:${nonce}`, '1', 'NX', 'EX', String(requestSigning.MAX_CLOCK_SKEW_SECONDS * 2)
+      ]);
+    } catch (err) {
+      console.error('Error storing request nonce:', err);
+      return res.status(503).json({
+        error: 'SERVICE_UNAVAILABLE',
+        message: 'Unable to verify request signature, please retry'
+      });
+    }
+    if (!nonceStored) {
+      return res.status(401).json({
+        error: 'NONCE_REUSED',
+        message: 'This request has already been processed'
+      });
+    }
+
+    const result = await pool.query(
+      `SELECT ${API_KEY_COLUMNS}
+       FROM api_keys
+       WHERE id = $1`,
+      [keyId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({
+        error: 'INVALID_API_KEY',
+        message: 'API key not found or invalid'
+      });
+    }
+
+    return admitAPIKey(result.rows[0], req, res, next);
   } catch (error) {
-    console.error('API key authentication error:', error);
+    console.error('Signed request authentication error:', error);
     res.status(500).json({
       error: 'INTERNAL_ERROR',
       message: 'Failed to authenticate API key'
@@ -84,11 +255,47 @@ async function authenticateAPIKey(req, res, next) {
   }
 }
 
+/**
+ * Middleware accepting either a signed request or X-API-Key
+ */
+function authenticateAPIClient(req, res, next) {
+  if (req.headers['x-htx-signature']) {
+    return authenticateSignedRequest(req, res, next);
+  }
+  return authenticateAPIKey(req, res, next);
+}
+
+/**
+ * Middleware for public routes: authenticates an API key or signed request
+ * if one is sent, so test keys can read their sandbox data, and lets
+ * anonymous requests through
+ */
+function optionalAPIKey(req, res, next) {
+  if (!req.headers['x-api-key'] && !req.headers['x-htx-signature']) {
+    return next();
+  }
+  return authenticateAPIClient(req, res, next);
+}
+
+/**
+ * Whether the request was made with a test key and must use sandbox data
+ */
+function isSandboxRequest(req) {
+  return Boolean(req.apiKey) && req.apiKey.environment === 'test';
+}
+
 /**
  * Middleware to check if API key has required scope
+ * options.hiveTag: function returning the community tag the request acts on;
+ * keys bound to a list of hive tags may only act on those
+ * options.optional: let anonymous requests through (after optionalAPIKey)
  */
-function requireScope(requiredScope) {
+function requireScope(requiredScope, options = {}) {
   return (req, res, next) => {
+    if (!req.apiKey && options.optional) {
+      return next();
+    }
+
     if (!req.apiKey) {
       return res.status(401).json({
         error: 'UNAUTHORIZED',
@@ -96,18 +303,34 @@ function requireScope(requiredScope) {
       });
     }
 
-    const hasScope = req.apiKey.scopes.includes(requiredScope) || 
-                     req.apiKey.scopes.includes('*');
-
-    if (!hasScope) {
+    // Exact match or a wildcard such as communities:* or *
+    if (!hasScope(req.apiKey.scopes, requiredScope)) {
       return res.status(403).json({
         error: 'INSUFFICIENT_SCOPE',
         message: `This API key does not have the required scope: ${requiredScope}`
       });
     }
 
+    const { allowedHiveTags } = req.apiKey;
+    if (options.hiveTag && allowedHiveTags.length > 0) {
+      const hiveTag = options.hiveTag(req);
+      if (hiveTag && !allowedHiveTags.includes(hiveTag)) {
+        return res.status(403).json({
+          error: 'COMMUNITY_NOT_ALLOWED',
+          message: `This API key is not allowed to manage community: ${hiveTag}`
+        });
+      }
+    }
+
     next();
   };
 }
 
-module.exports = { authenticateAPIKey, requireScope };
+module.exports = {
+  authenticateAPIKey,
+  authenticateSignedRequest,
+  authenticateAPIClient,
+  optionalAPIKey,
+  isSandboxRequest,
+  requireScope
+};
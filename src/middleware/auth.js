@@ -1,27 +1,37 @@
-const jwt = require('jsonwebtoken');
+const tokenService = require('../services/tokenService');
+const { isTestAuthEnabled } = require('../utils/testAuth');
 
-function authenticateJWT(req, res, next) {
-  // TODO: REMOVE THIS TESTING CODE - Hardcoded fake token for testing
-  const fakeTestToken = 'test_token_coolmole_12345';
+async function authenticateJWT(req, res, next) {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ error: 'Authorization token required' });
   }
   const token = authHeader.split(' ')[1];
-  
-  // TESTING: Allow fake token to resolve to coolmole user
-  if (token === fakeTestToken) {
-    req.user = { driverId: 'coolmole',  username: "coolmole", authMethod: "hive_posting_key" };
-    return next();
-  }
-  
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = tokenService.verifyAccessToken(token);
   } catch (err) {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
+
+  // Tokens minted by /api/test-auth are worthless outside test mode
+  if (decoded.authMethod === 'test' && !isTestAuthEnabled()) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  // Reject tokens revoked by logout or "log out everywhere"
+  try {
+    if (await tokenService.isAccessTokenRevoked(decoded)) {
+      return res.status(401).json({ error: 'Token has been revoked' });
+    }
+  } catch (err) {
+    console.error('Token revocation check failed:', err);
+    return res.status(503).json({ error: 'Unable to verify token' });
+  }
+
+  req.user = decoded;
+  next();
 }
 
 module.exports = authenticateJWT;
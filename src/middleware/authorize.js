@@ -0,0 +1,67 @@
+// src/middleware/authorize.js
+// Role and permission checks for JWT-authenticated routes. Must run after authenticateJWT.
+
+const ROLES = ['driver', 'rider', 'admin'];
+
+// What each users.type may do. Admins may do everything.
+const ROLE_PERMISSIONS = {
+  rider: ['rides:request', 'trips:cancel', 'trips:rate'],
+  driver: ['driver:manage', 'rides:respond', 'trips:manage', 'trips:cancel', 'trips:rate'],
+  admin: ['*']
+};
+
+function forbidden(res, message) {
+  return res.status(403).json({
+    error: 'FORBIDDEN',
+    message
+  });
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - users.type value
+ * @param {string} permission - e.g. 'rides:respond'
+ * @returns {boolean}
+ */
+function roleHasPermission(role, permission) {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+/**
+ * Middleware to require one of the given roles
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authorization token required' });
+    }
+    if (!roles.includes(req.user.type)) {
+      return forbidden(res, `This action requires one of the roles: ${roles.join(', ')}`);
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware to require a permission granted by the user's role
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authorization token required' });
+    }
+    if (!roleHasPermission(req.user.type, permission)) {
+      return forbidden(res, `Your role does not have the required permission: ${permission}`);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  roleHasPermission,
+  requireRole,
+  requirePermission
+};
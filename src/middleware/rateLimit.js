@@ -0,0 +1,117 @@
+// src/middleware/rateLimit.js
+// express-rate-limit limiters whose counters live in Redis, so limits hold across API instances
+const { rateLimit } = require('express-rate-limit');
+const redisClient = require('../db/redis');
+
+// INCR the window counter and start its expiry on the first hit. Returns [hits, ttlMs].
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+/**
+ * express-rate-limit store backed by the shared Redis client
+ */
+class RedisStore {
+  constructor(prefix) {
+    this.prefix = `ratelimit:${prefix}:`;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const [totalHits, ttl] = await redisClient.sendCommand([
+      'EVAL', INCREMENT_SCRIPT, '1', this.prefix + key, String(this.windowMs)
+    ]);
+    return {
+      totalHits: Number(totalHits),
+      resetTime: new Date(Date.now() + Number(ttl))
+    };
+  }
+
+  async decrement(key) {
+    await redisClient.sendCommand(['DECR', this.prefix + key]);
+  }
+
+  async resetKey(key) {
+    await redisClient.sendCommand(['DEL', this.prefix + key]);
+  }
+}
+
+/**
+ * Build a limiter with the repo's defaults: standard RateLimit headers, a
+ * JSON error body, and letting requests through if Redis is unavailable
+ * @param {object} options
+ * @param {string} options.name - Unique counter namespace in Redis
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.limit - Requests allowed per window
+ * @param {Function} [options.keyGenerator] - Defaults to the client IP
+ * @param {Function} [options.skip] - Skip counting for some requests
+ */
+function createLimiter({ name, windowMs, limit, keyGenerator, skip }) {
+  return rateLimit({
+    windowMs,
+    limit,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    passOnStoreError: true,
+    store: new RedisStore(name),
+    ...(keyGenerator && { keyGenerator }),
+    ...(skip && { skip }),
+    message: {
+      error: 'RATE_LIMITED',
+      message: 'Too many requests, please try again later'
+    }
+  });
+}
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_MINUTE = 60 * 1000;
+
+// Hive login: per client IP, and per Hive username across all IPs
+const hiveAuthIpLimiter = createLimiter({
+  name: 'auth:ip',
+  windowMs: FIFTEEN_MINUTES,
+  limit: 100
+});
+
+const hiveAuthUsernameLimiter = createLimiter({
+  name: 'auth:username',
+  windowMs: FIFTEEN_MINUTES,
+  limit: 20,
+  keyGenerator: (req) => String(req.body.username).toLowerCase(),
+  skip: (req) => !req.body || !req.body.username
+});
+
+// Driver location pings, per authenticated driver (place after authenticateJWT)
+const driverLocationLimiter = createLimiter({
+  name: 'drivers:location',
+  windowMs: ONE_MINUTE,
+  limit: 120,
+  keyGenerator: (req) => String(req.user.driverId)
+});
+
+// Community writes, per API key (place after authenticateAPIKey)
+const apiKeyWriteLimiter = createLimiter({
+  name: 'apikey:write',
+  windowMs: ONE_MINUTE,
+  limit: 60,
+  keyGenerator: (req) => String(req.apiKey.id)
+});
+
+module.exports = {
+  RedisStore,
+  createLimiter,
+  hiveAuthIpLimiter,
+  hiveAuthUsernameLimiter,
+  driverLocationLimiter,
+  apiKeyWriteLimiter
+};
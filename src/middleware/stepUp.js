@@ -0,0 +1,69 @@
+// src/middleware/stepUp.js
+// TOTP checks for sensitive routes. Must run after authenticateJWT.
+const twoFactorService = require('../services/twoFactorService');
+
+/**
+ * Middleware that only lets users with confirmed TOTP enrollment through
+ */
+async function requireTotpEnrolled(req, res, next) {
+  try {
+    if (!(await twoFactorService.isEnabled(req.user.driverId))) {
+      return res.status(403).json({
+        error: 'TOTP_ENROLLMENT_REQUIRED',
+        message: 'Enable two-factor authentication via /api/auth/2fa/enroll to use this endpoint'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('TOTP enrollment check error:', error);
+    res.status(500).json({
+      error: 'INTERNAL_ERROR',
+      message: 'Failed to check two-factor enrollment'
+    });
+  }
+}
+
+/**
+ * Middleware that requires a fresh TOTP or backup code in the X-TOTP-Code
+ * header, so a leaked access token alone can't perform the action
+ */
+async function requireStepUp(req, res, next) {
+  try {
+    const code = req.headers['x-totp-code'];
+    if (!(await twoFactorService.isEnabled(req.user.driverId))) {
+      return res.status(403).json({
+        error: 'TOTP_ENROLLMENT_REQUIRED',
+        message: 'Enable two-factor authentication via /api/auth/2fa/enroll to use this endpoint'
+      });
+    }
+    if (!code) {
+      return res.status(401).json({
+        error: 'TOTP_REQUIRED',
+        message: 'A current two-factor code is required in the X-TOTP-Code header'
+      });
+    }
+    const { valid, locked, retryAfter } = await twoFactorService.verify(req.user.driverId, String(code));
+    if (locked) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'TOTP_LOCKED',
+        message: 'Too many invalid two-factor codes, please try again later'
+      });
+    }
+    if (!valid) {
+      return res.status(401).json({
+        error: 'INVALID_TOTP_CODE',
+        message: 'Two-factor code is invalid or has already been used'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Step-up verification error:', error);
+    res.status(500).json({
+      error: 'INTERNAL_ERROR',
+      message: 'Failed to verify two-factor code'
+    });
+  }
+}
+
+module.exports = { requireTotpEnrolled, requireStepUp };
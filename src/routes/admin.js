@@ -1,20 +1,102 @@
 const express = require('express');
 const router = express.Router();
 const apiKeysDb = require('../db/apiKeys');
+const apiKeyUsageDb = require('../db/apiKeyUsage');
+const apiKeyUsageService = require('../services/apiKeyUsageService');
+const apiKeyAuditDb = require('../db/apiKeyAudit');
+const { auditAdminAction } = require('../middleware/apiKeyAudit');
 const authenticateJWT = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+const { requireTotpEnrolled, requireStepUp } = require('../middleware/stepUp');
+const { validateCidrs } = require('../utils/ipAllowlist');
+const requestSigning = require('../utils/requestSigning');
+const scopes = require('../utils/scopes');
 
-// POST /api/admin/api-keys - Create a new API key (admin only)
-router.post('/api-keys', authenticateJWT, async (req, res) => {
-  try {
-    // TODO: Add admin role check here if you implement roles
-    // if (req.user.role !== 'admin') {
-    //   return res.status(403).json({
-    //     error: 'FORBIDDEN',
-    //     message: 'Admin access required'
-    //   });
-    // }
+const DEFAULT_ROTATION_GRACE_HOURS = parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS, 10) || 24;
+const MAX_ROTATION_GRACE_HOURS = 30 * 24;
+const MAX_USAGE_RANGE_DAYS = 366;
+const API_KEY_ENVIRONMENTS = ['live', 'test'];
+
+/**
+ * Parse a quota from a request body: undefined when absent, null to clear it,
+ * otherwise a positive integer. Returns NaN for anything else.
+ */
+function parseQuota(value) {
+  if (value === undefined || value === null) return value;
+  const quota = Number(value);
+  return Number.isInteger(quota) && quota > 0 ? quota : NaN;
+}
+
+/**
+ * Parse an allowlist from a request body: undefined when absent, null (no
+ * restriction) for null or an empty list. Returns NaN if any entry fails isValid.
+ */
+function parseAllowlist(value, isValid) {
+  if (value === undefined || value === null) return value;
+  if (!Array.isArray(value) || !value.every(entry => typeof entry === 'string')) return NaN;
+  if (value.length === 0) return null;
+  return isValid(value) ? [...new Set(value.map(entry => entry.trim()))] : NaN;
+}
+
+/**
+ * Read the quota and restriction fields shared by key creation and updates.
+ * Fields left out of the body come back undefined.
+ * @returns {{limits?: object, error?: string}}
+ */
+function parseKeyLimits(body) {
+  const limits = {
+    dailyQuota: parseQuota(body.dailyQuota),
+    monthlyQuota: parseQuota(body.monthlyQuota),
+    allowedCidrs: parseAllowlist(body.allowedCidrs, validateCidrs),
+    allowedHiveTags: parseAllowlist(body.allowedHiveTags, tags => tags.every(tag => tag.startsWith('hive-')))
+  };
+
+  if (Number.isNaN(limits.dailyQuota) || Number.isNaN(limits.monthlyQuota)) {
+    return { error: 'dailyQuota and monthlyQuota must be positive integers or null' };
+  }
+  if (Number.isNaN(limits.allowedCidrs)) {
+    return { error: 'allowedCidrs must be a list of IP addresses or CIDR ranges (e.g. 203.0.113.0/24)' };
+  }
+  if (Number.isNaN(limits.allowedHiveTags)) {
+    return { error: 'allowedHiveTags must be a list of hive tags starting with "hive-"' };
+  }
+  return { limits };
+}
+
+/**
+ * Key id and secret for HMAC-signed requests, when signing is enabled
+ */
+function signingCredentials(keyId) {
+  if (!requestSigning.isSigningEnabled()) return {};
+  return {
+    signing_key_id: String(keyId),
+    signing_secret: requestSigning.deriveSigningSecret(keyId)
+  };
+}
+
+function isValidDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
 
-    const { name, description, scopes, expiresInDays } = req.body;
+// Every admin route requires an authenticated admin with two-factor enabled
+router.use(authenticateJWT, requireRole('admin'), requireTotpEnrolled);
+
+// API key IDs are integers; anything else can't name a key (and must not reach pg)
+router.param('id', (req, res, next, id) => {
+  if (!/^\d+$/.test(id)) {
+    return res.status(404).json({
+      error: 'NOT_FOUND',
+      message: 'API key not found'
+    });
+  }
+  next();
+});
+
+// POST /api/admin/api-keys - Create a new API key (admin only, X-TOTP-Code required)
+router.post('/api-keys', requireStepUp, async (req, res) => {
+  try {
+    const { name, description, scopes: requestedScopes = ['*'], expiresInDays, environment = 'live' } = req.body;
+    const { limits, error: limitsError } = parseKeyLimits(req.body);
 
     if (!name) {
       return res.status(400).json({
@@ -23,24 +105,69 @@ router.post('/api-keys', authenticateJWT, async (req, res) => {
       });
     }
 
+    if (!Array.isArray(requestedScopes) || requestedScopes.length === 0 ||
+        !requestedScopes.every(scope => typeof scope === 'string')) {
+      return res.status(400).json({
+        error: 'INVALID_PARAMETER',
+        message: 'scopes must be a non-empty list of scope names'
+      });
+    }
+
+    const unknownScopes = requestedScopes.filter(scope => !scopes.isKnownScope(scope));
+    if (unknownScopes.length > 0) {
+      return res.status(400).json({
+        error: 'UNKNOWN_SCOPE',
+        message: `Unknown scopes: ${unknownScopes.join(', ')}. See GET /api/admin/scopes`,
+        unknown_scopes: unknownScopes
+      });
+    }
+
+    if (!API_KEY_ENVIRONMENTS.includes(environment)) {
+      return res.status(400).json({
+        error: 'INVALID_PARAMETER',
+        message: `environment must be one of: ${API_KEY_ENVIRONMENTS.join(', ')}`
+      });
+    }
+
+    if (limitsError) {
+      return res.status(400).json({
+        error: 'INVALID_PARAMETER',
+        message: limitsError
+      });
+    }
+
     const apiKey = await apiKeysDb.createAPIKey(
       name,
       description,
-      scopes || ['*'],
-      expiresInDays
+      [...new Set(requestedScopes)],
+      expiresInDays,
+      { environment, ...limits }
     );
 
+    await auditAdminAction(req, 'api_key.created', apiKey.id, {
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      environment: apiKey.environment,
+      expires_at: apiKey.expires_at
+    });
+
     res.status(201).json({
       message: 'API key created successfully',
       warning: 'Save this API key now - it will not be shown again!',
       api_key: apiKey.api_key,
+      ...signingCredentials(apiKey.id),
       details: {
         id: apiKey.id,
         name: apiKey.name,
         description: apiKey.description,
         scopes: apiKey.scopes,
+        environment: apiKey.environment,
         created_at: apiKey.created_at,
-        expires_at: apiKey.expires_at
+        expires_at: apiKey.expires_at,
+        daily_quota: apiKey.daily_quota,
+        monthly_quota: apiKey.monthly_quota,
+        allowed_cidrs: apiKey.allowed_cidrs,
+        allowed_hive_tags: apiKey.allowed_hive_tags
       }
     });
 
@@ -54,8 +181,17 @@ router.post('/api-keys', authenticateJWT, async (req, res) => {
   }
 });
 
+// GET /api/admin/scopes - List the scopes API keys can be granted
+router.get('/scopes', (req, res) => {
+  res.json({
+    message: 'Scopes retrieved successfully',
+    scopes: scopes.listScopes(),
+    wildcards: scopes.listWildcards()
+  });
+});
+
 // GET /api/admin/api-keys - List all API keys
-router.get('/api-keys', authenticateJWT, async (req, res) => {
+router.get('/api-keys', async (req, res) => {
   try {
     const apiKeys = await apiKeysDb.listAPIKeys();
     res.json({
@@ -71,8 +207,213 @@ router.get('/api-keys', authenticateJWT, async (req, res) => {
   }
 });
 
-// DELETE /api/admin/api-keys/:id - Revoke an API key
-router.delete('/api-keys/:id', authenticateJWT, async (req, res) => {
+// PATCH /api/admin/api-keys/:id - Update a key's quotas, IP allowlist and bound hive tags;
+// null removes a limit (X-TOTP-Code required)
+router.patch('/api-keys/:id', requireStepUp, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limits, error: limitsError } = parseKeyLimits(req.body);
+
+    if (limitsError) {
+      return res.status(400).json({
+        error: 'INVALID_PARAMETER',
+        message: limitsError
+      });
+    }
+
+    const existing = await apiKeysDb.getAPIKeyById(id);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'NOT_FOUND',
+        message: 'API key not found'
+      });
+    }
+
+    const pick = (value, current) => (value === undefined ? current : value);
+    const updated = await apiKeysDb.updateAPIKeyLimits(id, {
+      dailyQuota: pick(limits.dailyQuota, existing.daily_quota),
+      monthlyQuota: pick(limits.monthlyQuota, existing.monthly_quota),
+      allowedCidrs: pick(limits.allowedCidrs, existing.allowed_cidrs),
+      allowedHiveTags: pick(limits.allowedHiveTags, existing.allowed_hive_tags)
+    });
+
+    await auditAdminAction(req, 'api_key.updated', updated.id, {
+      before: {
+        daily_quota: existing.daily_quota,
+        monthly_quota: existing.monthly_quota,
+        allowed_cidrs: existing.allowed_cidrs,
+        allowed_hive_tags: existing.allowed_hive_tags
+      },
+      after: {
+        daily_quota: updated.daily_quota,
+        monthly_quota: updated.monthly_quota,
+        allowed_cidrs: updated.allowed_cidrs,
+        allowed_hive_tags: updated.allowed_hive_tags
+      }
+    });
+
+    res.json({
+      message: 'API key updated successfully',
+      api_key: updated
+    });
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({
+      error: 'INTERNAL_ERROR',
+      message: 'Failed to update API key'
+    });
+  }
+});
+
+// GET /api/admin/api-keys/:id/usage - Requests per day and route, plus current quota usage
+router.get('/api-keys/:id/usage', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const to = req.query.to || new Date().toISOString().slice(0, 10);
+    const from = req.query.from ||
+      new Date(Date.parse(to) - 29 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    if (!isValidDate(from) || !isValidDate(to) || from > to) {
+      return res.status(400).json({
+        error: 'INVALID_PARAMETER',
+        message: 'from and to must be dates (YYYY-MM-DD) with from <= to'
+      });
+    }
+
+    if ((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) >= MAX_USAGE_RANGE_DAYS) {
+      return res.status(400).json({
+        error: 'INVALID_PARAMETER',
+        message: `The date range can span at most ${MAX_USAGE_RANGE_DAYS} days`
+      });
+    }
+
+    const apiKey = await apiKeysDb.getAPIKeyById(id);
+    if (!apiKey) {
+      return res.status(404).json({
+        error: 'NOT_FOUND',
+        message: 'API key not found'
+      });
+    }
+
+    // Pick up the latest Redis counters; stored numbers are still useful if this fails
+    let current = null;
+    try {
+      await apiKeyUsageService.flush();
+      current = await apiKeyUsageService.getCurrentCounts(apiKey.id);
+    } catch (err) {
+      console.error('Error reading live API key usage:', err);
+    }
+
+    const rows = await apiKeyUsageDb.getUsage(apiKey.id, from, to);
+    const days = new Map();
+    const routes = {};
+    let total = 0;
+    for (const row of rows) {
+      if (!days.has(row.usage_date)) {
+        days.set(row.usage_date, { date: row.usage_date, total: 0, routes: {} });
+      }
+      const day = days.get(row.usage_date);
+      day.routes[row.route] = row.request_count;
+      day.total += row.request_count;
+      routes[row.route] = (routes[row.route] || 0) + row.request_count;
+      total += row.request_count;
+    }
+
+    res.json({
+      api_key: {
+        id: apiKey.id,
+        name: apiKey.name,
+        key_prefix: apiKey.key_prefix
+      },
+      quotas: {
+        daily: apiKey.daily_quota,
+        monthly: apiKey.monthly_quota,
+        used_today: current && current.day,
+        used_this_month: current && current.month
+      },
+      from,
+      to,
+      total,
+      routes,
+      days: [...days.values()]
+    });
+  } catch (error) {
+    console.error('Error getting API key usage:', error);
+    res.status(500).json({
+      error: 'INTERNAL_ERROR',
+      message: 'Failed to get API key usage'
+    });
+  }
+});
+
+// POST /api/admin/api-keys/:id/rotate - Issue a replacement key; the old one stays valid for a grace window (X-TOTP-Code required)
+router.post('/api-keys/:id/rotate', requireStepUp, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { graceHours = DEFAULT_ROTATION_GRACE_HOURS } = req.body || {};
+
+    const grace = Number(graceHours);
+    if (!Number.isFinite(grace) || grace < 0 || grace > MAX_ROTATION_GRACE_HOURS) {
+      return res.status(400).json({
+        error: 'INVALID_PARAMETER',
+        message: `graceHours must be between 0 and ${MAX_ROTATION_GRACE_HOURS}`
+      });
+    }
+
+    const existing = await apiKeysDb.getAPIKeyById(id);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'NOT_FOUND',
+        message: 'API key not found'
+      });
+    }
+
+    const rotation = await apiKeysDb.rotateAPIKey(id, grace);
+    if (!rotation) {
+      return res.status(409).json({
+        error: 'CANNOT_ROTATE',
+        message: 'Only active keys that are not already being retired can be rotated'
+      });
+    }
+
+    await auditAdminAction(req, 'api_key.rotated', rotation.oldKey.id, {
+      new_api_key_id: rotation.newKey.id,
+      retires_at: rotation.oldKey.retires_at
+    });
+
+    res.status(201).json({
+      message: 'API key rotated successfully',
+      warning: 'Save this API key now - it will not be shown again!',
+      api_key: rotation.newKey.api_key,
+      ...signingCredentials(rotation.newKey.id),
+      details: {
+        id: rotation.newKey.id,
+        name: rotation.newKey.name,
+        description: rotation.newKey.description,
+        scopes: rotation.newKey.scopes,
+        environment: rotation.newKey.environment,
+        created_at: rotation.newKey.created_at,
+        expires_at: rotation.newKey.expires_at,
+        rotated_from_id: rotation.newKey.rotated_from_id
+      },
+      previous_key: {
+        id: rotation.oldKey.id,
+        key_prefix: rotation.oldKey.key_prefix,
+        last_used_at: rotation.oldKey.last_used_at,
+        retires_at: rotation.oldKey.retires_at
+      }
+    });
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({
+      error: 'INTERNAL_ERROR',
+      message: 'Failed to rotate API key'
+    });
+  }
+});
+
+// DELETE /api/admin/api-keys/:id - Revoke an API key (X-TOTP-Code required)
+router.delete('/api-keys/:id', requireStepUp, async (req, res) => {
   try {
     const { id } = req.params;
     const revokedKey = await apiKeysDb.revokeAPIKey(id);
@@ -84,6 +425,8 @@ router.delete('/api-keys/:id', authenticateJWT, async (req, res) => {
       });
     }
 
+    await auditAdminAction(req, 'api_key.revoked', revokedKey.id, { name: revokedKey.name });
+
     res.json({
       message: 'API key revoked successfully',
       api_key: {
@@ -101,4 +444,53 @@ router.delete('/api-keys/:id', authenticateJWT, async (req, res) => {
   }
 });
 
+// GET /api/admin/audit-log - Search the API key audit log
+// Filters: apiKeyId, action, actorUserId, hiveTag, result (success|failure), from, to (ISO dates); limit, offset
+router.get('/audit-log', async (req, res) => {
+  try {
+    const { apiKeyId, action, actorUserId, hiveTag, result, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if ((apiKeyId && !/^\d+$/.test(apiKeyId)) || (actorUserId && !/^\d+$/.test(actorUserId))) {
+      return res.status(400).json({
+        error: 'INVALID_PARAMETER',
+        message: 'apiKeyId and actorUserId must be numeric'
+      });
+    }
+
+    if (result && !['success', 'failure'].includes(result)) {
+      return res.status(400).json({
+        error: 'INVALID_PARAMETER',
+        message: 'result must be success or failure'
+      });
+    }
+
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        error: 'INVALID_PARAMETER',
+        message: 'from and to must be ISO 8601 dates'
+      });
+    }
+
+    const { entries, total } = await apiKeyAuditDb.queryAuditLog({
+      apiKeyId, action, actorUserId, hiveTag, result, from, to, limit, offset
+    });
+
+    res.json({
+      message: 'Audit log retrieved successfully',
+      entries,
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Error querying audit log:', error);
+    res.status(500).json({
+      error: 'INTERNAL_ERROR',
+      message: 'Failed to query audit log'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,55 +1,119 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { Client, PublicKey, Signature } = require('@hiveio/dhive');
-const elliptic = require('elliptic');
-const EC = elliptic.ec;
-const ec = new EC('secp256k1');
+const { Client } = require('@hiveio/dhive');
+const bcrypt = require('bcryptjs');
 const userDb = require('../db/users');
+const authChallengesDb = require('../db/authChallenges');
+const tokenService = require('../services/tokenService');
+const { parseSignatureCandidates, verifyAccountAuthority } = require('../utils/hiveSignature');
+const authenticateJWT = require('../middleware/auth');
+const { hiveAuthIpLimiter, hiveAuthUsernameLimiter } = require('../middleware/rateLimit');
+const { requireStepUp } = require('../middleware/stepUp');
+const totpDb = require('../db/totp');
+const passwordResetsDb = require('../db/passwordResets');
+const sessionsDb = require('../db/sessions');
+const twoFactorService = require('../services/twoFactorService');
+const emailService = require('../services/emailService');
 
 const router = express.Router();
 
 // Initialize Hive client
 const hiveClient = new Client(['https://api.hive.blog']);
 
-// Store challenges temporarily (use Redis in production)
-const challenges = new Map();
+const USER_TYPES = ['driver', 'rider'];
+// Logging in with the active key is opt-in; posting is all a login needs
+const HIVE_AUTHORITIES = process.env.HIVE_AUTH_ALLOW_ACTIVE === 'true'
+  ? ['posting', 'active']
+  : ['posting'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const BCRYPT_ROUNDS = 12;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('hivetaxi-dummy-password', BCRYPT_ROUNDS);
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Postgres error code for unique constraint violations
+const UNIQUE_VIOLATION = '23505';
 
 // Authentication routes for drivers
 
-// POST /api/auth/register - Register a new driver
-router.post('/register', (req, res) => {
+// POST /api/auth/register - Register a new driver or rider with email and password
+router.post('/register', async (req, res) => {
   try {
-    const { email, password, firstName, lastName, phone, licenseNumber } = req.body;
-    
-    // Validation
-    if (!email || !password || !firstName || !lastName || !phone || !licenseNumber) {
+    const { email, password, firstName, lastName, phone, licenseNumber, type = 'driver' } = req.body;
+
+    if (!USER_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'Invalid user type',
+        allowed: USER_TYPES
+      });
+    }
+
+    // Validation - drivers must also provide their license number
+    const required = ['email', 'password', 'firstName', 'lastName', 'phone'];
+    if (type === 'driver') required.push('licenseNumber');
+    if (required.some(field => !req.body[field])) {
       return res.status(400).json({
         error: 'Missing required fields',
-        required: ['email', 'password', 'firstName', 'lastName', 'phone', 'licenseNumber']
+        required
       });
     }
 
-    // TODO: Hash password, save to database, generate JWT
-    res.status(201).json({
-      message: 'Driver registered successfully',
-      driver: {
-        id: Date.now().toString(),
-        email,
+    const normalizedEmail = String(email).trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const existing = await userDb.getUserByEmail(normalizedEmail);
+    if (existing) {
+      return res.status(409).json({ error: 'Email is already registered' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    let user;
+    try {
+      user = await userDb.createUser({
+        hiveUsername: null,
+        type,
+        licenseNumber: type === 'driver' ? licenseNumber : null,
+        lastLat: null,
+        lastLong: null,
+        phoneNumber: phone,
+        displayName: `${firstName} ${lastName}`,
+        isOnline: false,
+        email: normalizedEmail,
+        passwordHash,
         firstName,
-        lastName,
-        phone,
-        licenseNumber,
-        status: 'pending_verification'
+        lastName
+      });
+    } catch (dbError) {
+      // Lost a race with a concurrent registration for the same email
+      if (dbError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({ error: 'Email is already registered' });
       }
+      throw dbError;
+    }
+
+    const tokens = await tokenService.startSession(user, 'password', deviceFromRequest(req));
+
+    res.status(201).json({
+      message: 'User registered successfully',
+      ...tokens,
+      user: formatPasswordUser(user)
     });
   } catch (error) {
+    console.error('Registration error:', error);
     res.status(500).json({ error: 'Registration failed' });
   }
 });
 
-// POST /api/auth/login - Driver login
-router.post('/login', (req, res) => {
+// POST /api/auth/login - Email and password login
+router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
     
@@ -59,35 +123,204 @@ router.post('/login', (req, res) => {
       });
     }
 
-    // TODO: Verify credentials, generate JWT
+    const user = await userDb.getUserByEmail(String(email).trim());
+    // Compare against a dummy hash when the user is unknown so response timing
+    // does not reveal which emails are registered
+    const passwordMatches = await bcrypt.compare(
+      String(password),
+      (user && user.password_hash) || DUMMY_PASSWORD_HASH
+    );
+    if (!user || !user.password_hash || !passwordMatches) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const totpError = await checkLoginTotp(user, req.body.totpCode);
+    if (totpError) {
+      return sendTotpError(res, totpError);
+    }
+
+    const tokens = await tokenService.startSession(user, 'password', deviceFromRequest(req));
+
     res.json({
       message: 'Login successful',
-      token: 'mock-jwt-token',
-      driver: {
-        id: '1',
-        email,
-        firstName: 'John',
-        lastName: 'Doe',
-        status: 'active'
-      }
+      ...tokens,
+      user: formatPasswordUser(user)
     });
   } catch (error) {
+    console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
-// POST /api/auth/logout - Driver logout
-router.post('/logout', (req, res) => {
+// POST /api/auth/logout - End the current session
+router.post('/logout', authenticateJWT, async (req, res) => {
   try {
-    // TODO: Invalidate JWT token
+    const { refreshToken } = req.body || {};
+
+    await tokenService.revokeAccessToken(req.user);
+    if (req.user.sid) {
+      await tokenService.revokeSession(req.user.sid, req.user.driverId);
+    }
+    if (refreshToken) {
+      await tokenService.revokeRefreshToken(String(refreshToken), req.user.driverId);
+    }
+
     res.json({ message: 'Logout successful' });
   } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// POST /api/auth/logout-all - Revoke every session for the current user
+router.post('/logout-all', authenticateJWT, async (req, res) => {
+  try {
+    await tokenService.revokeAllForUser(req.user.driverId);
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (error) {
+    console.error('Logout-all error:', error);
     res.status(500).json({ error: 'Logout failed' });
   }
 });
 
-// POST /api/auth/refresh - Refresh JWT token
-router.post('/refresh', (req, res) => {
+// GET /api/auth/sessions - List the current user's active sessions
+router.get('/sessions', authenticateJWT, async (req, res) => {
+  try {
+    const sessions = await sessionsDb.listActiveSessions(req.user.driverId);
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session.id,
+        deviceName: session.device_name,
+        platform: session.platform,
+        ipAddress: session.ip_address,
+        userAgent: session.user_agent,
+        authMethod: session.auth_method,
+        hasPushToken: session.has_push_token,
+        createdAt: session.created_at,
+        lastSeenAt: session.last_seen_at,
+        current: session.id === req.user.sid
+      })),
+      count: sessions.length
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Revoke one of the current user's sessions
+router.delete('/sessions/:id', authenticateJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const revoked = await tokenService.revokeSession(id, req.user.driverId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked', sessionId: id });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// TWO-FACTOR AUTHENTICATION ROUTES
+
+// GET /api/auth/2fa - Two-factor status for the current user
+router.get('/2fa', authenticateJWT, async (req, res) => {
+  try {
+    const enabled = await twoFactorService.isEnabled(req.user.driverId);
+    res.json({
+      enabled,
+      required: req.user.type === 'admin',
+      ...(enabled && {
+        remainingBackupCodes: await totpDb.countRemainingBackupCodes(req.user.driverId)
+      })
+    });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// POST /api/auth/2fa/enroll - Start TOTP enrollment and get the provisioning URI
+router.post('/2fa/enroll', authenticateJWT, async (req, res) => {
+  try {
+    const enrollment = await twoFactorService.startEnrollment(req.user.driverId, req.user.username);
+    if (!enrollment) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    res.json({
+      message: 'Scan the QR code, then confirm with a code via /api/auth/2fa/activate',
+      secret: enrollment.secret,
+      otpauthUri: enrollment.otpauthUri
+    });
+  } catch (error) {
+    console.error('2FA enroll error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor enrollment' });
+  }
+});
+
+// POST /api/auth/2fa/activate - Confirm enrollment with a first code
+router.post('/2fa/activate', authenticateJWT, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+    const backupCodes = await twoFactorService.activate(req.user.driverId, String(code));
+    if (!backupCodes) {
+      return res.status(400).json({ error: 'Invalid code or no pending enrollment' });
+    }
+    res.json({
+      message: 'Two-factor authentication enabled',
+      warning: 'Save these backup codes now - they will not be shown again!',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('2FA activate error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// POST /api/auth/2fa/backup-codes - Replace backup codes (requires a current code)
+router.post('/2fa/backup-codes', authenticateJWT, requireStepUp, async (req, res) => {
+  try {
+    const backupCodes = await twoFactorService.regenerateBackupCodes(req.user.driverId);
+    res.json({
+      message: 'Backup codes regenerated',
+      warning: 'Save these backup codes now - they will not be shown again!',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('2FA backup codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate backup codes' });
+  }
+});
+
+// DELETE /api/auth/2fa - Disable two-factor authentication (requires a current code)
+router.delete('/2fa', authenticateJWT, requireStepUp, async (req, res) => {
+  try {
+    if (req.user.type === 'admin') {
+      return res.status(403).json({
+        error: 'FORBIDDEN',
+        message: 'Two-factor authentication is mandatory for admins'
+      });
+    }
+    await twoFactorService.disable(req.user.driverId);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// POST /api/auth/refresh - Rotate a refresh token into a new token pair
+router.post('/refresh', async (req, res) => {
   try {
     const { refreshToken } = req.body;
     
@@ -95,18 +328,23 @@ router.post('/refresh', (req, res) => {
       return res.status(400).json({ error: 'Refresh token required' });
     }
 
-    // TODO: Verify refresh token, generate new access token
+    const { tokens, error } = await tokenService.rotateRefreshToken(String(refreshToken), req.ip);
+    if (error) {
+      return res.status(401).json({ error: 'Invalid refresh token', code: error });
+    }
+
     res.json({
       message: 'Token refreshed',
-      token: 'new-mock-jwt-token'
+      ...tokens
     });
   } catch (error) {
+    console.error('Token refresh error:', error);
     res.status(500).json({ error: 'Token refresh failed' });
   }
 });
 
 // POST /api/auth/forgot-password - Request password reset
-router.post('/forgot-password', (req, res) => {
+router.post('/forgot-password', async (req, res) => {
   try {
     const { email } = req.body;
     
@@ -114,17 +352,59 @@ router.post('/forgot-password', (req, res) => {
       return res.status(400).json({ error: 'Email is required' });
     }
 
-    // TODO: Generate reset token, send email
-    res.json({ message: 'Password reset email sent' });
+    // Only password accounts can reset. The reset is sent off the request
+    // path, so neither the response nor its timing can be used to discover
+    // registered emails
+    const user = await userDb.getUserByEmail(String(email).trim());
+    if (user && user.password_hash) {
+      sendPasswordReset(user).catch(err => console.error('Password reset email error:', err));
+    }
+
+    res.json({ message: 'If that email is registered, a password reset email has been sent' });
   } catch (error) {
+    console.error('Password reset request error:', error);
     res.status(500).json({ error: 'Password reset request failed' });
   }
 });
 
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+    const resetToken = await passwordResetsDb.consumePasswordResetToken(tokenHash);
+    if (!resetToken) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const passwordHash = await bcrypt.hash(String(password), BCRYPT_ROUNDS);
+    await userDb.updatePasswordHash(resetToken.user_id, passwordHash);
+
+    // Whoever knew the old password must not stay signed in
+    await tokenService.revokeAllForUser(resetToken.user_id);
+
+    res.json({ message: 'Password has been reset' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
 // HIVE BLOCKCHAIN AUTHENTICATION ROUTES
 
 // POST /api/auth/challenge - Get authentication challenge for Hive login
-router.post('/challenge', async (req, res) => {
+router.post('/challenge', hiveAuthIpLimiter, hiveAuthUsernameLimiter, async (req, res) => {
   try {
     const { username } = req.body;
 
@@ -142,22 +422,14 @@ router.post('/challenge', async (req, res) => {
     const challenge = crypto.randomBytes(32).toString('hex');
     const timestamp = Date.now();
 
-    // Store challenge temporarily (expires in 5 minutes)
-    challenges.set(username, {
-      challenge,
-      timestamp,
-      expires: timestamp + (5 * 60 * 1000)
-    });
-
-    // Clean up expired challenges
-    setTimeout(() => {
-      challenges.delete(username);
-    }, 5 * 60 * 1000);
+    // Store challenge in Redis (expires in 5 minutes)
+    const stored = await authChallengesDb.storeChallenge(username, challenge, timestamp);
 
     res.json({
       challenge,
       timestamp,
-      message: 'Sign this challenge with your Hive posting key',
+      expiresAt: new Date(stored.expires).toISOString(),
+      message: 'Sign this challenge with your Hive posting key (raw r|s|recovery or Hive Keychain signBuffer signatures accepted)',
       instructions: `Please sign the message: "${username}:${challenge}:${timestamp}"`
     });
 
@@ -168,9 +440,9 @@ router.post('/challenge', async (req, res) => {
 });
 
 // POST /api/auth/verify - Verify signed challenge and login with Hive
-router.post('/verify', async (req, res) => {
+router.post('/verify', hiveAuthIpLimiter, hiveAuthUsernameLimiter, async (req, res) => {
   try {
-    const { username, challenge, timestamp, signature, type } = req.body;
+    const { username, challenge, timestamp, signature, type = 'driver', authority = 'posting' } = req.body;
 
     if (!username || !challenge || !timestamp || !signature) {
       return res.status(400).json({ 
@@ -179,99 +451,74 @@ router.post('/verify', async (req, res) => {
       });
     }
 
-    // Check if challenge exists and is valid
-    const storedChallenge = challenges.get(username);
+    // Admins are only ever promoted by an operator, never created here
+    if (!USER_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'Invalid user type',
+        allowed: USER_TYPES
+      });
+    }
+
+    // Consume the challenge up front: each challenge gets exactly one
+    // verification attempt, even if the signature turns out to be invalid
+    const storedChallenge = await authChallengesDb.consumeChallenge(username, String(challenge));
     if (!storedChallenge) {
       return res.status(400).json({ error: 'Challenge not found or expired' });
     }
 
-    if (storedChallenge.challenge !== challenge || storedChallenge.timestamp !== timestamp) {
+    if (String(storedChallenge.timestamp) !== String(timestamp)) {
       return res.status(400).json({ error: 'Invalid challenge' });
     }
 
-    if (Date.now() > storedChallenge.expires) {
-      challenges.delete(username);
-      return res.status(400).json({ error: 'Challenge expired' });
+    if (!HIVE_AUTHORITIES.includes(authority)) {
+      return res.status(400).json({
+        error: 'Unsupported authority',
+        allowed: HIVE_AUTHORITIES
+      });
     }
 
-    // Get account's posting public keys from Hive
+    // Multi-sig accounts send one signature per signing key
+    const signatures = Array.isArray(signature) ? signature : [signature];
+    if (signatures.some(sig => parseSignatureCandidates(sig).length === 0)) {
+      return res.status(400).json({ error: 'Invalid signature format' });
+    }
+
+    // Get account authorities from Hive
     const accounts = await hiveClient.database.getAccounts([username]);
     if (!accounts || accounts.length === 0) {
       return res.status(404).json({ error: 'Account not found' });
     }
 
     const account = accounts[0];
-    const postingKeys = account.posting.key_auths.map(([key]) => key);
 
-    // Verify signature
+    // Verify signatures against the account authority
     const message = `${username}:${challenge}:${timestamp}`;
-    console.log('🔏 Message:', message);
-    console.log('🔏 Signature (hex):', signature);
     const messageHash = crypto.createHash('sha256').update(message, 'utf8').digest();
-    console.log('🔏 Message SHA-256 (hex):', messageHash.toString('hex'));
-    let signatureBuffer;
-    try {
-      signatureBuffer = Buffer.from(signature, 'hex');
-      console.log('Signature buffer length:', signatureBuffer.length);
-    } catch (e) {
-      console.error('Error converting signature to buffer:', e);
-      return res.status(400).json({ error: 'Invalid signature format' });
-    }
-    let isValidSignature = false;
-
-    for (const pubKeyString of postingKeys) {
-      console.log('🔑 Verifying with public key:', pubKeyString);
-      try {
-        // Decode STM... key to compressed buffer using dhive
-        const dhivePubKey = PublicKey.fromString(pubKeyString);
-        const compressedHex = dhivePubKey.key.toString('hex');
-        console.log('Public key hex:', compressedHex);
-        const key = ec.keyFromPublic(compressedHex, 'hex');
-        const hashHex = messageHash.toString('hex');
-        const sig = {
-          r: signatureBuffer.slice(0, 32).toString('hex'),
-          s: signatureBuffer.slice(32, 64).toString('hex'),
-          recoveryParam: signatureBuffer[64]
-        };
-        console.log('r:', sig.r);
-        console.log('s:', sig.s);
-        console.log('recoveryParam:', sig.recoveryParam);
-        const isValid = key.verify(hashHex, sig);
-        if (isValid) {
-          isValidSignature = true;
-          break;
-        }
-      } catch (error) {
-        console.error('Signature verification error:', error);
-        continue;
-      }
-    }
-
-    if (!isValidSignature) {
-      return res.status(401).json({ error: 'Invalid signature' });
+    const verification = verifyAccountAuthority(account, authority, messageHash, signatures);
+
+    if (!verification.valid) {
+      return res.status(401).json({
+        error: 'Invalid signature',
+        ...(verification.weight > 0 && {
+          message: `Signatures carry weight ${verification.weight} of the required ${verification.threshold}`
+        })
+      });
     }
 
-    // Clean up used challenge
-    challenges.delete(username);
-
     // Create or update driver in your system
     const driver = await findOrCreateUser(username, type);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        driverId: driver.id,
-        username: username,
-        authMethod: 'hive_posting_key',
-        type: 'driver'
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const totpError = await checkLoginTotp(driver, req.body.totpCode);
+    if (totpError) {
+      return sendTotpError(res, totpError);
+    }
+
+    // Generate access and refresh tokens
+    const tokens = await tokenService.startSession(driver, `hive_${authority}_key`, deviceFromRequest(req));
 
     res.json({
       message: 'Hive authentication successful',
-      token,
+      ...tokens,
       user: {
         id: driver.id,
         hiveAccount: {
@@ -293,11 +540,74 @@ router.post('/verify', async (req, res) => {
   }
 });
 
+// Helper function to enforce TOTP at login for enrolled users.
+// Returns an error body, or null when the login may proceed.
+async function checkLoginTotp(user, totpCode) {
+  if (!(await twoFactorService.isEnabled(user.id))) {
+    return null;
+  }
+  if (!totpCode) {
+    return { error: 'Two-factor code required', code: 'TOTP_REQUIRED' };
+  }
+  const { valid, locked, retryAfter } = await twoFactorService.verify(user.id, String(totpCode));
+  if (locked) {
+    return { error: 'Too many invalid two-factor codes, please try again later', code: 'TOTP_LOCKED', retryAfter };
+  }
+  return valid ? null : { error: 'Invalid two-factor code', code: 'INVALID_TOTP_CODE' };
+}
+
+// Helper function to send a checkLoginTotp error: 429 while locked out, else 401
+function sendTotpError(res, totpError) {
+  if (totpError.code === 'TOTP_LOCKED') {
+    const { retryAfter, ...body } = totpError;
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json(body);
+  }
+  return res.status(401).json(totpError);
+}
+
+// Helper function to issue a reset token and email it to a password user
+async function sendPasswordReset(user) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const tokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
+  const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  await passwordResetsDb.createPasswordResetToken(user.id, tokenHash, expiresAt);
+  await emailService.sendPasswordReset(user.email, resetToken, PASSWORD_RESET_TTL_MINUTES);
+}
+
+// Helper function to collect device details for a new session
+function deviceFromRequest(req) {
+  const { deviceName, platform } = req.body;
+  return {
+    deviceName: deviceName ? String(deviceName).slice(0, 100) : null,
+    platform: platform ? String(platform).slice(0, 20) : null,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'] || null
+  };
+}
+
+// Helper function to shape an email/password user for API responses
+function formatPasswordUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    displayName: user.display_name,
+    phoneNumber: user.phone_number,
+    licenseNumber: user.license_number,
+    type: user.type,
+    verificationStatus: user.verification_status || 'pending_verification',
+    authMethod: 'password'
+  };
+}
+
 // Helper function to find or create user from Hive account
 async function findOrCreateUser(username, type = 'driver') {
   // Try to find user by Hive username
   let user = await userDb.getUserByUsername(username);
-  if (user && user.type === type) {
+  // A promoted operator signs in as themselves whatever type the app sends
+  if (user && (user.type === type || user.type === 'admin')) {
     // Update lastLogin and hiveData (if you have such columns)
     // For now, just return the user
     return user;
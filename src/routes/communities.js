@@ -3,15 +3,34 @@ const router = express.Router();
 const userDb = require('../db/users');
 const communitiesDb = require('../db/communities');
 const authenticateJWT = require('../middleware/auth');
-const { authenticateAPIKey, requireScope } = require('../middleware/apiKeyAuth');
+const { authenticateAPIClient, optionalAPIKey, isSandboxRequest, requireScope } = require('../middleware/apiKeyAuth');
+const { apiKeyWriteLimiter } = require('../middleware/rateLimit');
+const { auditAPIKeyWrite } = require('../middleware/apiKeyAudit');
+
+// Community a write request acts on, for keys bound to specific hive tags
+const bodyHiveTag = (req) => req.body && req.body.hiveTag;
+
+// Audit every write made with an API key, including rejected ones
+const auditRegister = auditAPIKeyWrite('community.registered', { hiveTag: bodyHiveTag });
+const auditMemberAdded = auditAPIKeyWrite('community.member_added', {
+  hiveTag: bodyHiveTag,
+  details: (req) => ({ username: req.body && req.body.username, role: (req.body && req.body.role) || 'Driver' })
+});
+
+// Reads are public; a key sent along must still have communities:read
+const optionalReadScope = requireScope('communities:read', { optional: true });
 
 /**
  * @swagger
  * /api/communities:
  *   get:
  *     summary: Get all communities
- *     description: Retrieves a list of all registered Hive communities
+ *     description: Retrieves a list of all registered Hive communities. Requests made with a test API key see sandbox communities instead.
  *     tags: [Communities]
+ *     security:
+ *       - {}
+ *       - ApiKeyAuth: []
+ *       - HmacSignature: []
  *     responses:
  *       200:
  *         description: Communities retrieved successfully
@@ -41,14 +60,13 @@ const { authenticateAPIKey, requireScope } = require('../middleware/apiKeyAuth')
  *         description: Internal server error
  */
 // GET /api/communities - Get all communities
-router.get('/', async (req, res) => {
+router.get('/', optionalAPIKey, optionalReadScope, async (req, res) => {
   try {
-    const pool = require('../db');
-    const result = await pool.query('SELECT * FROM communities ORDER BY name');
+    const communities = await communitiesDb.listCommunities(isSandboxRequest(req));
     
     res.json({
       message: 'Communities retrieved successfully',
-      communities: result.rows.map(c => ({
+      communities: communities.map(c => ({
         id: c.id,
         hiveTag: c.hive_tag,
         name: c.name,
@@ -72,8 +90,12 @@ router.get('/', async (req, res) => {
  * /api/communities/{identifier}:
  *   get:
  *     summary: Get a specific community
- *     description: Retrieves a community by ID or hiveTag
+ *     description: Retrieves a community by ID or hiveTag. Requests made with a test API key see sandbox communities instead.
  *     tags: [Communities]
+ *     security:
+ *       - {}
+ *       - ApiKeyAuth: []
+ *       - HmacSignature: []
  *     parameters:
  *       - in: path
  *         name: identifier
@@ -110,29 +132,22 @@ router.get('/', async (req, res) => {
  *         description: Internal server error
  */
 // GET /api/communities/:identifier - Get a specific community by ID or hiveTag
-router.get('/:identifier', async (req, res) => {
+router.get('/:identifier', optionalAPIKey, optionalReadScope, async (req, res) => {
   try {
     const { identifier } = req.params;
-    const pool = require('../db');
-    let result;
+    const sandbox = isSandboxRequest(req);
 
     // Check if identifier is numeric (ID) or string (hiveTag)
-    if (!isNaN(identifier)) {
-      // Search by ID
-      result = await pool.query('SELECT * FROM communities WHERE id = $1', [parseInt(identifier)]);
-    } else {
-      // Search by hiveTag
-      result = await pool.query('SELECT * FROM communities WHERE hive_tag = $1', [identifier]);
-    }
+    const community = !isNaN(identifier)
+      ? await communitiesDb.getCommunityById(parseInt(identifier), sandbox)
+      : await communitiesDb.getCommunityByTag(identifier, sandbox);
 
-    if (result.rows.length === 0) {
+    if (!community) {
       return res.status(404).json({
         error: 'COMMUNITY_NOT_FOUND',
         message: 'Community not found'
       });
     }
-
-    const community = result.rows[0];
     
     res.json({
       message: 'Community retrieved successfully',
@@ -160,8 +175,12 @@ router.get('/:identifier', async (req, res) => {
  * /api/communities/{identifier}/members:
  *   get:
  *     summary: Get all members of a community
- *     description: Retrieves members of a community with optional role filtering
+ *     description: Retrieves members of a community with optional role filtering. Requests made with a test API key see sandbox communities instead.
  *     tags: [Communities]
+ *     security:
+ *       - {}
+ *       - ApiKeyAuth: []
+ *       - HmacSignature: []
  *     parameters:
  *       - in: path
  *         name: identifier
@@ -214,24 +233,16 @@ router.get('/:identifier', async (req, res) => {
  *         description: Internal server error
  */
 // GET /api/communities/:identifier/members - Get all members of a community
-router.get('/:identifier/members', async (req, res) => {
+router.get('/:identifier/members', optionalAPIKey, optionalReadScope, async (req, res) => {
   try {
     const { identifier } = req.params;
     const { role } = req.query; // Optional: filter by role
+    const sandbox = isSandboxRequest(req);
     
     // First, find the community to get its hiveTag
-    const pool = require('../db');
-    let community;
-    
-    if (!isNaN(identifier)) {
-      // Search by ID
-      const result = await pool.query('SELECT * FROM communities WHERE id = $1', [parseInt(identifier)]);
-      community = result.rows[0];
-    } else {
-      // Search by hiveTag
-      const result = await pool.query('SELECT * FROM communities WHERE hive_tag = $1', [identifier]);
-      community = result.rows[0];
-    }
+    const community = !isNaN(identifier)
+      ? await communitiesDb.getCommunityById(parseInt(identifier), sandbox)
+      : await communitiesDb.getCommunityByTag(identifier, sandbox);
 
     if (!community) {
       return res.status(404).json({
@@ -241,7 +252,7 @@ router.get('/:identifier/members', async (req, res) => {
     }
 
     // Get members using the hiveTag
-    const members = await communitiesDb.listCommunityMembers(community.hive_tag, role);
+    const members = await communitiesDb.listCommunityMembers(community.hive_tag, role, sandbox);
 
     res.json({
       message: 'Community members retrieved successfully',
@@ -273,10 +284,11 @@ router.get('/:identifier/members', async (req, res) => {
  * /api/communities/register:
  *   post:
  *     summary: Create or update a community
- *     description: Registers a new Hive community or updates existing one. Requires API key with 'communities:write' scope
+ *     description: Registers a new Hive community or updates existing one. Requires API key with 'communities:write' scope. Test API keys write to the sandbox.
  *     tags: [Communities]
  *     security:
  *       - ApiKeyAuth: []
+ *       - HmacSignature: []
  *     requestBody:
  *       required: true
  *       content:
@@ -321,16 +333,22 @@ router.get('/:identifier/members', async (req, res) => {
  *                       type: number
  *                     longitude:
  *                       type: number
+ *                     sandbox:
+ *                       type: boolean
  *       400:
  *         description: Missing or invalid parameters
  *       401:
  *         description: Invalid API key or insufficient scope
+ *       403:
+ *         description: API key not allowed from this IP or for this community
+ *       429:
+ *         description: Rate limit exceeded for this API key
  *       500:
  *         description: Internal server error
  */
 // POST /api/communities/register - Create or update a community
 // Requires API key with 'communities:write' scope
-router.post('/register', authenticateAPIKey, requireScope('communities:write'), async (req, res) => {
+router.post('/register', authenticateAPIClient, auditRegister, apiKeyWriteLimiter, requireScope('communities:write', { hiveTag: bodyHiveTag }), async (req, res) => {
   try {
     const { hiveTag, name, latitude, longitude } = req.body;
 
@@ -366,7 +384,7 @@ router.post('/register', authenticateAPIKey, requireScope('communities:write'),
     }
 
     // Create or ensure community exists
-    const community = await communitiesDb.ensureCommunity(hiveTag, name, latitude, longitude);
+    const community = await communitiesDb.ensureCommunity(hiveTag, name, latitude, longitude, isSandboxRequest(req));
 
     res.status(201).json({
       message: 'Community created/updated successfully',
@@ -375,7 +393,8 @@ router.post('/register', authenticateAPIKey, requireScope('communities:write'),
         hiveTag: community.hive_tag,
         name: community.name,
         latitude: community.latitude,
-        longitude: community.longitude
+        longitude: community.longitude,
+        sandbox: community.is_sandbox
       }
     });
 
@@ -394,10 +413,11 @@ router.post('/register', authenticateAPIKey, requireScope('communities:write'),
  * /api/communities/members:
  *   post:
  *     summary: Add a user to a community
- *     description: Adds a registered user to a community with specified role. Requires API key with 'communities:write' scope
+ *     description: Adds a registered user to a community with specified role. Requires API key with 'communities:write' scope. Test API keys can only change sandbox communities.
  *     tags: [Communities]
  *     security:
  *       - ApiKeyAuth: []
+ *       - HmacSignature: []
  *     requestBody:
  *       required: true
  *       content:
@@ -438,10 +458,16 @@ router.post('/register', authenticateAPIKey, requireScope('communities:write'),
  *                       type: string
  *                     role:
  *                       type: string
+ *                     sandbox:
+ *                       type: boolean
  *       400:
  *         description: Missing required parameters
  *       401:
  *         description: Invalid API key or insufficient scope
+ *       403:
+ *         description: API key not allowed from this IP or for this community
+ *       429:
+ *         description: Rate limit exceeded for this API key
  *       404:
  *         description: User or community not found
  *       500:
@@ -449,7 +475,7 @@ router.post('/register', authenticateAPIKey, requireScope('communities:write'),
  */
 // POST /api/communities/members - Add a user to a community
 // Requires API key with 'communities:write' scope
-router.post('/members', authenticateAPIKey, requireScope('communities:write'), async (req, res) => {
+router.post('/members', authenticateAPIClient, auditMemberAdded, apiKeyWriteLimiter, requireScope('communities:write', { hiveTag: bodyHiveTag }), async (req, res) => {
   try {
     const { username, hiveTag, role } = req.body;
 
@@ -477,8 +503,9 @@ router.post('/members', authenticateAPIKey, requireScope('communities:write'), a
       });
     }
 
-    // Check if community exists
-    const community = await communitiesDb.getCommunityByTag(hiveTag);
+    // Check if community exists (in the sandbox for test keys)
+    const sandbox = isSandboxRequest(req);
+    const community = await communitiesDb.getCommunityByTag(hiveTag, sandbox);
     if (!community) {
       return res.status(404).json({
         error: 'COMMUNITY_NOT_FOUND',
@@ -488,14 +515,15 @@ router.post('/members', authenticateAPIKey, requireScope('communities:write'), a
 
     // Add user to community with specified role (defaults to 'Driver')
     const userRole = role || 'Driver';
-    const membership = await communitiesDb.addUserToCommunity(username, hiveTag, userRole);
+    const membership = await communitiesDb.addUserToCommunity(username, hiveTag, userRole, sandbox);
 
     res.status(201).json({
       message: 'User added to community successfully',
       membership: {
         username: membership.hiveUsername,
         community: membership.community,
-        role: membership.role
+        role: membership.role,
+        sandbox
       }
     });
 
@@ -6,6 +6,145 @@ const vehiclesDb = require('../db/vehicles');
 const communitiesDb = require('../db/communities');
 const redisClient = require('../db/redis');
 const authenticateJWT = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { driverLocationLimiter } = require('../middleware/rateLimit');
+const locationHistoryService = require('../services/locationHistoryService');
+const rideRequestsDb = require('../db/rideRequests');
+const dispatchResponsesDb = require('../db/dispatchResponses');
+const ratingsDb = require('../db/ratings');
+const driverDocumentsDb = require('../db/driverDocuments');
+const driverDocumentService = require('../services/driverDocumentService');
+const documentStorage = require('../services/documentStorage');
+const driverAvailability = require('../utils/driverAvailability');
+const { resolvePeriodRange, summarizeEarnings } = require('../utils/earnings');
+
+// Client timestamps outside this window are replaced with the server time
+const MAX_LOCATION_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_LOCATION_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const DOCUMENT_STATUSES = ['pending', 'approved', 'rejected', 'expired'];
+// States drivers set themselves; the ride states are set by dispatch and trips
+const DRIVER_SET_STATES = ['offline', 'available', 'on_break'];
+
+/**
+ * Optional non-negative number from a location ping; null when absent,
+ * NaN when present but invalid
+ */
+function optionalMeasure(value, max = Infinity) {
+  if (value === undefined || value === null) return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 && number <= max ? number : NaN;
+}
+
+/**
+ * When a ping was taken: the client's timestamp (ISO string or epoch ms) if
+ * it is plausible, otherwise now
+ */
+function pingTime(timestamp) {
+  const now = Date.now();
+  const parsed = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+  if (!Number.isFinite(parsed) || parsed > now + MAX_LOCATION_CLOCK_SKEW_MS || parsed < now - MAX_LOCATION_AGE_MS) {
+    return new Date(now);
+  }
+  return new Date(parsed);
+}
+
+// pg reads DATE columns as local midnight; format them back as the same day
+function formatDate(date) {
+  if (!date) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * A driver_documents row as returned by the API (null stays null)
+ */
+function serializeDocument(document) {
+  if (!document) return null;
+  return {
+    id: Number(document.id),
+    documentType: document.document_type,
+    status: document.status,
+    fileName: document.file_name,
+    contentType: document.content_type,
+    sizeBytes: document.size_bytes,
+    expiryDate: formatDate(document.expires_on),
+    uploadedAt: document.uploaded_at,
+    reviewedAt: document.reviewed_at,
+    rejectionReason: document.rejection_reason
+  };
+}
+
+/**
+ * Load the document in req.params.id if the caller may see it: its owner
+ * (unless reviewOnly) or someone who may review the owner's documents.
+ * Sends the error response and returns null otherwise.
+ */
+async function findReviewableDocument(req, res, { reviewOnly = false } = {}) {
+  if (!/^\d+$/.test(req.params.id)) {
+    res.status(404).json({ error: 'Document not found' });
+    return null;
+  }
+  const document = await driverDocumentsDb.getDocumentById(req.params.id);
+  if (!document) {
+    res.status(404).json({ error: 'Document not found' });
+    return null;
+  }
+  const isOwner = String(document.user_id) === String(req.user.driverId);
+  if (isOwner && !reviewOnly) {
+    return document;
+  }
+  if (!await driverDocumentService.canReview(req.user, document.user_id)) {
+    // Don't reveal other drivers' documents exist
+    res.status(isOwner ? 403 : 404).json(isOwner
+      ? { error: 'FORBIDDEN', message: 'You cannot review your own documents' }
+      : { error: 'Document not found' });
+    return null;
+  }
+  return document;
+}
+
+/**
+ * Move a driver to one of DRIVER_SET_STATES. Going available is refused while
+ * a required document has lapsed; going offline takes the driver off the map.
+ * @returns {Promise<{ok: boolean, state: string, previous?: string, error?: string, lapsed?: string[]}>}
+ */
+async function changeAvailability(driverId, state) {
+  if (state === 'available') {
+    const compliance = await driverDocumentService.getCompliance(driverId);
+    if (!compliance.canGoOnline) {
+      return { ok: false, error: 'DOCUMENTS_LAPSED', lapsed: compliance.lapsed };
+    }
+  }
+
+  const current = await driverAvailability.getState(driverId);
+  if (current.state === state) {
+    return { ok: true, state, previous: state };
+  }
+
+  const result = await driverAvailability.transition(driverId, state, { from: DRIVER_SET_STATES });
+  if (result.ok && state === 'offline') {
+    await redisClient.zRem('drivers:online', `driver:${driverId}`);
+  }
+  return result;
+}
+
+/**
+ * Send the error response for a failed changeAvailability
+ */
+function sendAvailabilityError(res, state, result) {
+  if (result.error === 'DOCUMENTS_LAPSED') {
+    return res.status(403).json({
+      error: 'DOCUMENTS_LAPSED',
+      message: 'Upload current copies of your expired documents to go online',
+      lapsed: result.lapsed
+    });
+  }
+  return res.status(409).json({
+    error: 'INVALID_TRANSITION',
+    message: `Cannot go ${state} while ${result.state}`,
+    state: result.state
+  });
+}
 
 // Helper function to verify user on Hive blockchain
 async function verifyUserOnHiveBlockchain(username, communityTag) {
@@ -249,7 +388,7 @@ router.get('/hive-info', async (req, res) => {
  *         description: Internal server error
  */
 // GET /api/drivers/profile - Get driver profile
-router.get('/profile', authenticateJWT, async (req, res) => {
+router.get('/profile', authenticateJWT, requirePermission('driver:manage'), async (req, res) => {
   try {
     const driverId = req.user.driverId;
     if (!driverId) {
@@ -319,7 +458,7 @@ router.get('/profile', authenticateJWT, async (req, res) => {
  *         description: Internal server error
  */
 // PUT /api/drivers/profile - Update driver profile
-router.put('/profile', authenticateJWT, async (req, res) => {
+router.put('/profile', authenticateJWT, requirePermission('driver:manage'), async (req, res) => {
   try {
     const driverId = req.user.driverId;
 
@@ -362,7 +501,7 @@ router.put('/profile', authenticateJWT, async (req, res) => {
  * /api/drivers/location:
  *   post:
  *     summary: Update driver's current location
- *     description: Updates driver location in Redis GEO set and sets last seen timestamp
+ *     description: Records the ping in the driver's location history and, while the driver is not offline, updates the Redis GEO set and last seen timestamp
  *     tags: [Drivers]
  *     security:
  *       - BearerAuth: []
@@ -382,21 +521,33 @@ router.put('/profile', authenticateJWT, async (req, res) => {
  *                 type: number
  *               speed:
  *                 type: number
+ *                 description: Meters per second
+ *               heading:
+ *                 type: number
+ *                 description: Degrees clockwise from north (0-360)
+ *               accuracy:
+ *                 type: number
+ *                 description: Horizontal accuracy in meters
  *               timestamp:
  *                 type: string
  *                 format: date-time
+ *                 description: When the position was taken (ISO 8601 or epoch milliseconds); defaults to now
  *     responses:
  *       200:
  *         description: Location updated successfully
  *       400:
- *         description: Latitude and longitude are required
+ *         description: Missing or invalid coordinates, speed, heading or accuracy
  *       401:
  *         description: Authentication required
+ *       403:
+ *         description: A required document has lapsed (DOCUMENTS_LAPSED); the driver is taken offline
+ *       429:
+ *         description: Too many location updates
  *       500:
  *         description: Internal server error
  */
 // POST /api/drivers/location - Update driver location
-router.post('/location', authenticateJWT, async (req, res) => {
+router.post('/location', authenticateJWT, requirePermission('driver:manage'), driverLocationLimiter, async (req, res) => {
   console.log('POST /api/drivers/location - Request body:', req.body);
   try {
     const driverId = req.user.driverId;
@@ -404,34 +555,79 @@ router.post('/location', authenticateJWT, async (req, res) => {
     if (!driverId) {
       return res.status(401).json({ error: 'Authentication required' });
     }
-    const { latitude, longitude, speed, timestamp } = req.body;
+    const { latitude, longitude, timestamp } = req.body;
 
-    if (!latitude || !longitude) {
+    if (latitude === undefined || latitude === null || longitude === undefined || longitude === null) {
       return res.status(400).json({
         error: 'Latitude and longitude are required'
       });
     }
 
-    await redisClient.geoAdd('drivers:online', {
-      longitude: longitude,
-      latitude: latitude,
-      member: `driver:${driverId}`
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+      return res.status(400).json({
+        error: 'Latitude must be between -90 and 90 and longitude between -180 and 180'
+      });
+    }
+
+    const speed = optionalMeasure(req.body.speed);
+    const heading = optionalMeasure(req.body.heading, 360);
+    const accuracy = optionalMeasure(req.body.accuracy);
+    if (Number.isNaN(speed) || Number.isNaN(heading) || Number.isNaN(accuracy)) {
+      return res.status(400).json({
+        error: 'speed and accuracy must be non-negative numbers and heading between 0 and 360'
+      });
+    }
+    const recordedAt = pingTime(timestamp);
+
+    // A driver whose required document has lapsed may not be online
+    const compliance = await driverDocumentService.getCompliance(driverId);
+    if (!compliance.canGoOnline) {
+      await redisClient.zRem('drivers:online', `driver:${driverId}`);
+      await driverAvailability.transition(driverId, 'offline', { from: ['available', 'on_break'] });
+      return res.status(403).json({
+        error: 'DOCUMENTS_LAPSED',
+        message: 'Upload current copies of your expired documents to go online',
+        lapsed: compliance.lapsed
+      });
+    }
+
+    // Only drivers who are online appear on the map; PUT /availability brings them online
+    const { state } = await driverAvailability.getState(driverId);
+    if (state !== 'offline') {
+      await redisClient.geoAdd('drivers:online', {
+        longitude: lng,
+        latitude: lat,
+        member: `driver:${driverId}`
+      });
+      // Set/update last seen timestamp for this driver (as a separate key with 5 min TTL)
+      await redisClient.sendCommand(['SET', `driver:last_seen:${driverId}`, Date.now().toString()]);
+      await redisClient.sendCommand(['EXPIRE', `driver:last_seen:${driverId}`, '300']);
+    }
+    // Buffered for driver_locations; users.last_lat/last_long follow when it is flushed
+    await locationHistoryService.record(driverId, {
+      latitude: lat,
+      longitude: lng,
+      speed,
+      heading,
+      accuracy,
+      recordedAt
     });
-    // Set/update last seen timestamp for this driver (as a separate key with 5 min TTL)
-    await redisClient.sendCommand(['SET', `driver:last_seen:${driverId}`, Date.now().toString()]);
-    await redisClient.sendCommand(['EXPIRE', `driver:last_seen:${driverId}`, '300']);
-    // TODO: Update location in database
-    // await userDb.updateUserById(driverId, { last_lat: latitude, last_long: longitude });
     res.json({
       message: 'Location updated',
+      state,
       location: {
-        latitude,
-        longitude,
-        speed: speed || null,
-        timestamp: timestamp
+        latitude: lat,
+        longitude: lng,
+        speed,
+        heading,
+        accuracy,
+        timestamp: recordedAt.toISOString()
       }
     });
   } catch (error) {
+    console.error('Location update error:', error);
     res.status(500).json({ error: 'Location update failed' });
   }
 });
@@ -441,6 +637,10 @@ router.post('/location', authenticateJWT, async (req, res) => {
  * /api/drivers/online-status:
  *   put:
  *     summary: Set driver online/offline status
+ *     description: >
+ *       Shorthand for PUT /api/drivers/availability. Going online makes the
+ *       driver available (also from a break); going offline is refused while
+ *       the driver is on a ride.
  *     tags: [Drivers]
  *     security:
  *       - BearerAuth: []
@@ -462,45 +662,165 @@ router.post('/location', authenticateJWT, async (req, res) => {
  *         description: isOnline must be a boolean value
  *       401:
  *         description: Authentication required
+ *       403:
+ *         description: A required document has lapsed (DOCUMENTS_LAPSED)
+ *       409:
+ *         description: The driver is on a ride and cannot go offline
  *       500:
  *         description: Internal server error
  */
-// PUT /api/drivers/online-status - Set driver online/offline in Redis only
-router.put('/online-status', authenticateJWT, async (req, res) => {
+// PUT /api/drivers/online-status - Set driver online/offline
+router.put('/online-status', authenticateJWT, requirePermission('driver:manage'), async (req, res) => {
   try {
     const driverId = req.user.driverId;
     const { isOnline } = req.body;
     if (typeof isOnline !== 'boolean') {
       return res.status(400).json({ error: 'isOnline must be a boolean value' });
     }
-    if (!isOnline) {
-      // Remove driver from Redis GEO set
-      await redisClient.zRem('drivers:online', `driver:${driverId}`);
-      console.log(`Driver ${driverId} set to offline and removed from Redis.`);
-    } else {
-      // Do nothing, location updates handle online status
-      console.log(`Driver ${driverId} set to online (no Redis action, handled by location updates).`);
+
+    // A driver already on a ride is online; there is nothing to change
+    const current = await driverAvailability.getState(driverId);
+    if (isOnline && !DRIVER_SET_STATES.includes(current.state)) {
+      return res.json({ isOnline: true, state: current.state });
     }
-    return res.sendStatus(200);
+
+    const result = await changeAvailability(driverId, isOnline ? 'available' : 'offline');
+    if (!result.ok) {
+      return sendAvailabilityError(res, isOnline ? 'available' : 'offline', result);
+    }
+    console.log(`Driver ${driverId} is now ${result.state}`);
+    res.json({ isOnline, state: result.state });
   } catch (error) {
     console.error('Online status update error:', error);
     res.status(500).json({ error: 'Status update failed', details: error.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/drivers/availability:
+ *   get:
+ *     summary: Get driver availability state
+ *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 state:
+ *                   type: string
+ *                   enum: [offline, available, dispatched, en_route_to_pickup, on_trip, on_break]
+ *                 since:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 requestId:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Ride request the driver is dispatched to or on
+ *       401:
+ *         description: Authentication required
+ *       500:
+ *         description: Internal server error
+ *   put:
+ *     summary: Set driver availability
+ *     description: >
+ *       Drivers choose between offline, available and on_break. The ride
+ *       states (dispatched, en_route_to_pickup, on_trip) follow from ride
+ *       offers and trips, and the driver can't leave them from here.
+ *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - state
+ *             properties:
+ *               state:
+ *                 type: string
+ *                 enum: [offline, available, on_break]
+ *     responses:
+ *       200:
+ *         description: State updated
+ *       400:
+ *         description: Invalid state
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: A required document has lapsed (DOCUMENTS_LAPSED)
+ *       409:
+ *         description: Transition not allowed from the current state
+ *       500:
+ *         description: Internal server error
+ */
+// GET /api/drivers/availability - Get driver availability state
+router.get('/availability', authenticateJWT, requirePermission('driver:manage'), async (req, res) => {
+  try {
+    res.json(await driverAvailability.getState(req.user.driverId));
+  } catch (error) {
+    console.error('Availability error:', error);
+    res.status(500).json({ error: 'Failed to fetch availability' });
+  }
+});
+
+// PUT /api/drivers/availability - Go available, on break or offline
+router.put('/availability', authenticateJWT, requirePermission('driver:manage'), async (req, res) => {
+  try {
+    const driverId = req.user.driverId;
+    const { state } = req.body;
+    if (!DRIVER_SET_STATES.includes(state)) {
+      return res.status(400).json({ error: `state must be one of: ${DRIVER_SET_STATES.join(', ')}` });
+    }
+
+    const result = await changeAvailability(driverId, state);
+    if (!result.ok) {
+      return sendAvailabilityError(res, state, result);
+    }
+    res.json({ state: result.state, previous: result.previous });
+  } catch (error) {
+    console.error('Availability update error:', error);
+    res.status(500).json({ error: 'Failed to update availability' });
+  }
+});
+
 /**
  * @swagger
  * /api/drivers/earnings:
  *   get:
  *     summary: Get driver earnings
+ *     description: Earnings of the authenticated driver from completed trips (fares, tips) and their share of cancellation fees, grouped by currency (HBD, HIVE or fiat)
  *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: query
  *         name: period
  *         schema:
  *           type: string
- *           enum: [week, month, year]
- *         description: Period for earnings calculation
+ *           enum: [day, week, month, year]
+ *           default: week
+ *         description: Current UTC period to date (weeks start on Monday)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of a custom range (inclusive, with to)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of a custom range (inclusive, with from)
  *     responses:
  *       200:
  *         description: Earnings retrieved successfully
@@ -511,41 +831,59 @@ router.put('/online-status', authenticateJWT, async (req, res) => {
  *               properties:
  *                 period:
  *                   type: string
- *                 totalEarnings:
- *                   type: number
  *                 tripCount:
  *                   type: integer
- *                 averagePerTrip:
- *                   type: number
- *                 breakdown:
- *                   type: object
+ *                 earnings:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       currency:
+ *                         type: string
+ *                       currencyType:
+ *                         type: string
+ *                         enum: [crypto, fiat]
+ *                       totalEarnings:
+ *                         type: number
+ *                       tripCount:
+ *                         type: integer
+ *                       averagePerTrip:
+ *                         type: number
+ *                       paidCancellations:
+ *                         type: integer
+ *                       breakdown:
+ *                         type: object
  *                 dateRange:
  *                   type: object
+ *       400:
+ *         description: Invalid period or date range
+ *       401:
+ *         description: Authentication required
  *       500:
  *         description: Internal server error
  */
 // GET /api/drivers/earnings - Get driver earnings
-router.get('/earnings', (req, res) => {
+router.get('/earnings', authenticateJWT, requirePermission('driver:manage'), async (req, res) => {
   try {
-    const { period = 'week' } = req.query; // week, month, year
-    
-    // TODO: Calculate from database
+    const range = resolvePeriodRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const rows = await rideRequestsDb.getDriverEarnings(req.user.driverId, range.start, range.end);
+    const earnings = summarizeEarnings(rows);
+
     res.json({
-      period,
-      totalEarnings: 1250.50,
-      tripCount: 45,
-      averagePerTrip: 27.79,
-      breakdown: {
-        fare: 1100.00,
-        tips: 120.50,
-        bonuses: 30.00
-      },
+      period: range.period,
+      tripCount: earnings.reduce((sum, e) => sum + e.tripCount, 0),
+      earnings,
       dateRange: {
-        start: '2025-07-14T00:00:00Z',
-        end: '2025-07-20T23:59:59Z'
+        start: range.start.toISOString(),
+        end: range.end.toISOString()
       }
     });
   } catch (error) {
+    console.error('Earnings error:', error);
     res.status(500).json({ error: 'Failed to fetch earnings' });
   }
 });
@@ -555,7 +893,12 @@ router.get('/earnings', (req, res) => {
  * /api/drivers/stats:
  *   get:
  *     summary: Get driver statistics
+ *     description: >
+ *       Lifetime statistics for the authenticated driver. Rates are percentages
+ *       and are null until there is something to measure.
  *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
  *     responses:
  *       200:
  *         description: Statistics retrieved successfully
@@ -566,42 +909,97 @@ router.get('/earnings', (req, res) => {
  *               properties:
  *                 totalTrips:
  *                   type: integer
+ *                   description: Completed trips
  *                 rating:
  *                   type: number
+ *                   nullable: true
+ *                 ratingCount:
+ *                   type: integer
  *                 acceptanceRate:
  *                   type: integer
+ *                   nullable: true
+ *                   description: Accepted offers out of all offers answered or timed out
  *                 cancellationRate:
  *                   type: integer
+ *                   nullable: true
+ *                   description: Trips the driver cancelled out of all finished trips
  *                 completionRate:
  *                   type: integer
+ *                   nullable: true
  *                 totalDistance:
  *                   type: number
+ *                   description: Kilometres driven on completed trips
  *                 totalDriveTime:
  *                   type: number
+ *                   description: Hours from pickup to drop-off on completed trips
+ *                 dispatch:
+ *                   type: object
+ *                   properties:
+ *                     accepted:
+ *                       type: integer
+ *                     declined:
+ *                       type: integer
+ *                     timedOut:
+ *                       type: integer
  *                 thisWeek:
  *                   type: object
+ *                   properties:
+ *                     trips:
+ *                       type: integer
+ *                     earnings:
+ *                       type: array
+ *                       description: Totals per currency, as in /api/drivers/earnings
+ *                       items:
+ *                         type: object
+ *                     hours:
+ *                       type: number
+ *       401:
+ *         description: Not authenticated
  *       500:
  *         description: Internal server error
  */
 // GET /api/drivers/stats - Get driver statistics
-router.get('/stats', (req, res) => {
+router.get('/stats', authenticateJWT, requirePermission('driver:manage'), async (req, res) => {
   try {
-    // TODO: Fetch from database
+    const driverId = req.user.driverId;
+    const week = resolvePeriodRange({ period: 'week' });
+
+    const [trips, responses, ratings, weekTrips, weekEarnings] = await Promise.all([
+      rideRequestsDb.getDriverTripStats(driverId),
+      dispatchResponsesDb.getDriverResponseCounts(driverId),
+      ratingsDb.getDriverRatingSummary(driverId),
+      rideRequestsDb.getDriverTripStats(driverId, week.start),
+      rideRequestsDb.getDriverEarnings(driverId, week.start, week.end)
+    ]);
+
+    // Whole percentages, or null when there is nothing to divide by yet
+    const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : null);
+    const offers = responses.accepted + responses.declined + responses.timed_out;
+    const finished = trips.completed + trips.cancelled;
+    const round1 = (value) => Math.round(Number(value) * 10) / 10;
+
     res.json({
-      totalTrips: 156,
-      rating: 4.8,
-      acceptanceRate: 92,
-      cancellationRate: 3,
-      completionRate: 97,
-      totalDistance: 2847.5, // km
-      totalDriveTime: 145.2, // hours
+      totalTrips: trips.completed,
+      rating: ratings.average !== null ? Number(ratings.average) : null,
+      ratingCount: ratings.count,
+      acceptanceRate: percent(responses.accepted, offers),
+      cancellationRate: percent(trips.cancelled_by_driver, finished),
+      completionRate: percent(trips.completed, finished),
+      totalDistance: round1(trips.distance_km), // km
+      totalDriveTime: round1(trips.drive_hours), // hours
+      dispatch: {
+        accepted: responses.accepted,
+        declined: responses.declined,
+        timedOut: responses.timed_out
+      },
       thisWeek: {
-        trips: 12,
-        earnings: 340.75,
-        hours: 8.5
+        trips: weekTrips.completed,
+        earnings: summarizeEarnings(weekEarnings),
+        hours: round1(weekTrips.drive_hours)
       }
     });
   } catch (error) {
+    console.error('Stats error:', error);
     res.status(500).json({ error: 'Failed to fetch statistics' });
   }
 });
@@ -611,7 +1009,13 @@ router.get('/stats', (req, res) => {
  * /api/drivers/documents:
  *   get:
  *     summary: Get driver documents verification status
+ *     description: >
+ *       The authenticated driver's current (most recently uploaded) document of
+ *       each type, or null if none was uploaded, and whether a lapsed required
+ *       document is keeping them offline
  *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
  *     responses:
  *       200:
  *         description: Documents status retrieved successfully
@@ -622,55 +1026,328 @@ router.get('/stats', (req, res) => {
  *               properties:
  *                 driverLicense:
  *                   type: object
+ *                   nullable: true
  *                   properties:
+ *                     id:
+ *                       type: integer
  *                     status:
  *                       type: string
- *                       enum: [approved, pending, rejected]
+ *                       enum: [pending, approved, rejected, expired]
+ *                     fileName:
+ *                       type: string
+ *                     contentType:
+ *                       type: string
+ *                     sizeBytes:
+ *                       type: integer
  *                     expiryDate:
  *                       type: string
  *                       format: date
  *                     uploadedAt:
  *                       type: string
  *                       format: date-time
+ *                     reviewedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     rejectionReason:
+ *                       type: string
  *                 vehicleRegistration:
  *                   type: object
+ *                   nullable: true
  *                 insurance:
  *                   type: object
+ *                   nullable: true
  *                 backgroundCheck:
  *                   type: object
+ *                   nullable: true
+ *                 compliance:
+ *                   type: object
+ *                   properties:
+ *                     canGoOnline:
+ *                       type: boolean
+ *                     lapsed:
+ *                       type: array
+ *                       description: Required types whose approved copy has expired
+ *                       items:
+ *                         type: string
+ *                     requiredTypes:
+ *                       type: array
+ *                       description: >
+ *                         Types that keep the driver offline once their approved copy
+ *                         lapses (a type never approved does not block going online)
+ *                       items:
+ *                         type: string
+ *       401:
+ *         description: Authentication required
+ *       500:
+ *         description: Internal server error
+ *   post:
+ *     summary: Upload a driver document
+ *     description: >
+ *       Uploads a document for review. The file is sent base64-encoded in the
+ *       JSON body (PDF, JPEG or PNG, at most 5 MB). A new upload replaces the
+ *       driver's current document of that type once it is approved.
+ *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - documentType
+ *               - contentType
+ *               - data
+ *             properties:
+ *               documentType:
+ *                 type: string
+ *                 enum: [driver_license, vehicle_registration, insurance, background_check]
+ *               contentType:
+ *                 type: string
+ *                 enum: [application/pdf, image/jpeg, image/png]
+ *               data:
+ *                 type: string
+ *                 format: byte
+ *               fileName:
+ *                 type: string
+ *               expiresOn:
+ *                 type: string
+ *                 format: date
+ *                 description: Last valid day. Required for everything but background_check.
+ *     responses:
+ *       201:
+ *         description: Document uploaded and pending review
+ *       400:
+ *         description: Invalid document type, file or expiry date
+ *       401:
+ *         description: Authentication required
  *       500:
  *         description: Internal server error
  */
 // GET /api/drivers/documents - Get driver documents status
-router.get('/documents', (req, res) => {
+router.get('/documents', authenticateJWT, requirePermission('driver:manage'), async (req, res) => {
   try {
-    // TODO: Fetch from database
+    const { documents, compliance } = await driverDocumentService.getDriverDocuments(req.user.driverId);
+
     res.json({
-      driverLicense: {
-        status: 'approved',
-        expiryDate: '2027-06-15',
-        uploadedAt: '2025-01-15T10:30:00Z'
-      },
-      vehicleRegistration: {
-        status: 'approved',
-        expiryDate: '2026-03-20',
-        uploadedAt: '2025-01-15T10:35:00Z'
-      },
-      insurance: {
-        status: 'pending',
-        expiryDate: '2026-01-01',
-        uploadedAt: '2025-07-18T14:20:00Z'
-      },
-      backgroundCheck: {
-        status: 'approved',
-        completedAt: '2025-01-20T09:15:00Z'
-      }
+      driverLicense: serializeDocument(documents.driver_license),
+      vehicleRegistration: serializeDocument(documents.vehicle_registration),
+      insurance: serializeDocument(documents.insurance),
+      backgroundCheck: serializeDocument(documents.background_check),
+      compliance
     });
   } catch (error) {
+    console.error('Documents error:', error);
     res.status(500).json({ error: 'Failed to fetch documents' });
   }
 });
 
+// POST /api/drivers/documents - Upload a document for review
+router.post('/documents', authenticateJWT, requirePermission('driver:manage'), async (req, res) => {
+  try {
+    const { documentType, contentType, data, fileName, expiresOn } = req.body;
+
+    const result = await driverDocumentService.upload(req.user.driverId, {
+      documentType, contentType, data, fileName, expiresOn
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error, message: result.message });
+    }
+
+    res.status(201).json({
+      message: 'Document uploaded and pending review',
+      document: serializeDocument(result.document)
+    });
+  } catch (error) {
+    console.error('Document upload error:', error);
+    res.status(500).json({ error: 'Failed to upload document' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/drivers/documents/review-queue:
+ *   get:
+ *     summary: List driver documents for review
+ *     description: >
+ *       Platform admins see every driver's documents; community admins see
+ *       documents of members of the communities they administer.
+ *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, expired]
+ *           default: pending
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Documents retrieved successfully, oldest upload first
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Authentication required
+ *       500:
+ *         description: Internal server error
+ */
+// GET /api/drivers/documents/review-queue - Documents the caller may review
+router.get('/documents/review-queue', authenticateJWT, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if (!DOCUMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'INVALID_PARAMETER',
+        message: `status must be one of: ${DOCUMENT_STATUSES.join(', ')}`
+      });
+    }
+
+    const { documents, total } = await driverDocumentService.listForReviewer(req.user, { status, limit, offset });
+
+    res.json({
+      documents: documents.map(document => ({
+        ...serializeDocument(document),
+        driverId: document.user_id,
+        username: document.hive_username
+      })),
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Document review queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch documents for review' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/drivers/documents/{id}/file:
+ *   get:
+ *     summary: Download a driver document
+ *     description: Available to the driver who uploaded it and to anyone who may review it
+ *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The file, with its original content type
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Document not found
+ *       500:
+ *         description: Internal server error
+ */
+// GET /api/drivers/documents/:id/file - Download a document
+router.get('/documents/:id/file', authenticateJWT, async (req, res) => {
+  try {
+    const document = await findReviewableDocument(req, res);
+    if (!document) return;
+
+    const body = await documentStorage.get(document.storage_key);
+    res.set({
+      'Content-Type': document.content_type,
+      'Content-Length': String(body.length),
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(body);
+  } catch (error) {
+    console.error('Document download error:', error);
+    res.status(500).json({ error: 'Failed to download document' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/drivers/documents/{id}/review:
+ *   post:
+ *     summary: Approve or reject a pending driver document
+ *     description: For platform admins and admins of a community the driver belongs to
+ *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               reason:
+ *                 type: string
+ *                 description: Required when rejecting; shown to the driver
+ *     responses:
+ *       200:
+ *         description: Document reviewed
+ *       400:
+ *         description: Invalid decision or missing reason
+ *       403:
+ *         description: Not allowed to review this driver's documents
+ *       404:
+ *         description: Document not found
+ *       409:
+ *         description: Document is not pending review
+ *       500:
+ *         description: Internal server error
+ */
+// POST /api/drivers/documents/:id/review - Approve or reject a document
+router.post('/documents/:id/review', authenticateJWT, async (req, res) => {
+  try {
+    const document = await findReviewableDocument(req, res, { reviewOnly: true });
+    if (!document) return;
+
+    const { decision, reason } = req.body;
+    const result = await driverDocumentService.review(document, req.user.driverId, decision, reason);
+    if (result.error) {
+      const status = result.error === 'NOT_PENDING' ? 409 : result.error === 'OWN_DOCUMENT' ? 403 : 400;
+      return res.status(status).json({ error: result.error, message: result.message });
+    }
+
+    res.json({
+      message: decision === 'approve' ? 'Document approved' : 'Document rejected',
+      document: serializeDocument(result.document)
+    });
+  } catch (error) {
+    console.error('Document review error:', error);
+    res.status(500).json({ error: 'Failed to review document' });
+  }
+});
+
 /**
  * @swagger
  * /api/drivers/nearby:
@@ -943,7 +1620,7 @@ router.get('/verify/:username', async (req, res) => {
  *         description: Internal server error
  */
 // GET /api/drivers/vehicles - Get all vehicles for the authenticated driver
-router.get('/vehicles', authenticateJWT, async (req, res) => {
+router.get('/vehicles', authenticateJWT, requirePermission('driver:manage'), async (req, res) => {
   try {
     const driverId = req.user.driverId;
     const vehicles = await vehiclesDb.getVehiclesByUserId(driverId);
@@ -1022,7 +1699,7 @@ router.get('/vehicles', authenticateJWT, async (req, res) => {
  *         description: Internal server error
  */
 // POST /api/drivers/vehicles - Add a new vehicle
-router.post('/vehicles', authenticateJWT, async (req, res) => {
+router.post('/vehicles', authenticateJWT, requirePermission('driver:manage'), async (req, res) => {
   try {
     const driverId = req.user.driverId;
     const { make, model, year, color, plateNumber, vehicleType, seats, isPrimary } = req.body;
@@ -1142,7 +1819,7 @@ router.post('/vehicles', authenticateJWT, async (req, res) => {
  *         description: Internal server error
  */
 // GET /api/drivers/vehicles/:id - Get a specific vehicle
-router.get('/vehicles/:id', authenticateJWT, async (req, res) => {
+router.get('/vehicles/:id', authenticateJWT, requirePermission('driver:manage'), async (req, res) => {
   try {
     const driverId = req.user.driverId;
     const vehicleId = parseInt(req.params.id);
@@ -1241,7 +1918,7 @@ router.get('/vehicles/:id', authenticateJWT, async (req, res) => {
  *         description: Internal server error
  */
 // PUT /api/drivers/vehicles/:id - Update a vehicle
-router.put('/vehicles/:id', authenticateJWT, async (req, res) => {
+router.put('/vehicles/:id', authenticateJWT, requirePermission('driver:manage'), async (req, res) => {
   try {
     const driverId = req.user.driverId;
     const vehicleId = parseInt(req.params.id);
@@ -1340,7 +2017,7 @@ router.put('/vehicles/:id', authenticateJWT, async (req, res) => {
  *         description: Internal server error
  */
 // DELETE /api/drivers/vehicles/:id - Delete a vehicle
-router.delete('/vehicles/:id', authenticateJWT, async (req, res) => {
+router.delete('/vehicles/:id', authenticateJWT, requirePermission('driver:manage'), async (req, res) => {
   try {
     const driverId = req.user.driverId;
     const vehicleId = parseInt(req.params.id);
@@ -1400,7 +2077,7 @@ router.delete('/vehicles/:id', authenticateJWT, async (req, res) => {
  *         description: Internal server error
  */
 // PUT /api/drivers/vehicles/:id/primary - Set a vehicle as primary
-router.put('/vehicles/:id/primary', authenticateJWT, async (req, res) => {
+router.put('/vehicles/:id/primary', authenticateJWT, requirePermission('driver:manage'), async (req, res) => {
   try {
     const driverId = req.user.driverId;
     const vehicleId = parseInt(req.params.id);
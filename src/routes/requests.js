@@ -5,24 +5,9 @@ const rideRequestsDb = require('../db/rideRequests');
 const notificationService = require('../services/notificationService');
 const usersDb = require('../db/users');
 const { findFreshNearbyDrivers } = require('../utils/driverGeo');
-const jwt = require('jsonwebtoken');
-const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret';
-
-// JWT authentication middleware
-function authenticateJWT(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Authorization header missing or invalid' });
-  }
-  const token = authHeader.split(' ')[1];
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(401).json({ error: 'Invalid or expired token' });
-  }
-}
+const authenticateJWT = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { ALLOWED_CURRENCIES, DEFAULT_CURRENCY } = require('../utils/earnings');
 
 // Ride request routes for drivers
 
@@ -128,7 +113,7 @@ router.get('/:id', (req, res) => {
 });
 
 // POST /api/requests/:id/accept - Accept a ride request
-router.post('/:id/accept', authenticateJWT, async (req, res) => {
+router.post('/:id/accept', authenticateJWT, requirePermission('rides:respond'), async (req, res) => {
   try {
     const { id } = req.params;
     const { estimatedArrival } = req.body;
@@ -146,8 +131,8 @@ router.post('/:id/accept', authenticateJWT, async (req, res) => {
     if (!rideRequest) {
       return res.status(404).json({ error: 'Ride request not found' });
     }
-    // Update status in database and Redis
-    await rideRequestsDb.updateRideRequestStatus(id, 'accepted');
+    // Assign the driver and update status in database and Redis
+    await rideRequestsDb.assignDriver(id, driverId);
     await redisClient.sendCommand(['SET', `ride:request:${id}:status`, 'accepted']);
 
     notificationService.sendRideAcceptedToRider(rideRequest.passenger_id, id, driverId, estimatedArrival);
@@ -186,17 +171,18 @@ router.post('/:id/accept', authenticateJWT, async (req, res) => {
 });
 
 // POST /api/requests/:id/decline - Decline a ride request
-router.post('/:id/decline', async (req, res) => {
+router.post('/:id/decline', authenticateJWT, requirePermission('rides:respond'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason, driverId } = req.body;
+    const { reason } = req.body;
+    const driverId = req.user.id || req.user.userId || req.user.driverId;
     
     if (!driverId) {
-      return res.status(400).json({ error: 'Driver ID is required' });
+      return res.status(400).json({ error: 'Driver ID not found in token' });
     }
     
     // Handle driver response through notification service
-    const declined = await notificationService.handleDriverResponse(id, driverId, 'decline');
+    const declined = await notificationService.handleDriverResponse(id, String(driverId), 'decline');
     
     if (!declined) {
       return res.status(400).json({ error: 'Unable to decline request - you may not be the current driver or request may be expired' });
@@ -268,7 +254,7 @@ router.get('/history', (req, res) => {
 });
 
 // POST /api/requests - Rider creates a new ride request
-router.post('/', authenticateJWT, async (req, res) => {
+router.post('/', authenticateJWT, requirePermission('rides:request'), async (req, res) => {
   console.log("requests", req.body);
   try {
     const {
@@ -280,6 +266,7 @@ router.post('/', authenticateJWT, async (req, res) => {
       estimatedDistance,
       estimatedDuration,
       proposedFare,
+      currency = DEFAULT_CURRENCY,
       priority
     } = req.body;
 
@@ -288,6 +275,12 @@ router.post('/', authenticateJWT, async (req, res) => {
     if (!pickup || !pickup.lat || !pickup.lng) {
       return res.status(400).json({ error: 'Pickup location required' });
     }
+    if (!ALLOWED_CURRENCIES.includes(currency)) {
+      return res.status(400).json({
+        error: 'INVALID_CURRENCY',
+        message: `Invalid currency code. Allowed currencies: ${ALLOWED_CURRENCIES.join(', ')}`
+      });
+    }
 
     // Save to database
     const newRequest = await rideRequestsDb.createRideRequest({
@@ -299,6 +292,7 @@ router.post('/', authenticateJWT, async (req, res) => {
       estimatedDistance,
       estimatedDuration,
       proposedFare,
+      currency,
       priority
     });
 
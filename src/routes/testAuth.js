@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const userDb = require('../db/users');
+const tokenService = require('../services/tokenService');
+const { ROLES } = require('../middleware/authorize');
+
+// Test-only identity routes. Mounted by app.js only when isTestAuthEnabled().
+
+// POST /api/test-auth/token - Mint an access token for a seeded user
+router.post('/token', async (req, res) => {
+  try {
+    const { userId, username, email, role } = req.body;
+
+    if (!userId && !username && !email) {
+      return res.status(400).json({
+        error: 'MISSING_PARAMETER',
+        message: 'One of userId, username or email is required'
+      });
+    }
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'INVALID_ROLE',
+        message: `role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    let user;
+    if (userId) {
+      user = await userDb.getUserById(userId);
+    } else if (username) {
+      user = await userDb.getUserByUsername(username);
+    } else {
+      user = await userDb.getUserByEmail(email);
+    }
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'USER_NOT_FOUND',
+        message: 'Seed the user before minting a token for it'
+      });
+    }
+
+    // The role only changes the token's claims, not the stored user
+    const identity = role ? { ...user, type: role } : user;
+    const token = tokenService.signAccessToken(identity, 'test');
+
+    res.json({
+      message: 'Test token issued',
+      token,
+      user: {
+        id: user.id,
+        username: user.hive_username || user.email,
+        type: identity.type
+      }
+    });
+  } catch (error) {
+    console.error('Error minting test token:', error);
+    res.status(500).json({
+      error: 'INTERNAL_ERROR',
+      message: 'Failed to mint test token',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,48 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret';
 const authenticateJWT = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
 
 const rideRequestsDb = require('../db/rideRequests');
+const ratingsDb = require('../db/ratings');
+const driverAvailability = require('../utils/driverAvailability');
+const driverLocks = require('../utils/driverLocks');
 const redisClient = require('../db/redis');
 const notificationService = require('../services/notificationService');
+const { CANCELLATION_FEE_DRIVER_SHARE, CRYPTO_CURRENCIES } = require('../utils/earnings');
+
+const NO_SHOW_CANCELLATION_FEE = 5.00;
+
+/**
+ * Optional non-negative amount from a request body; 0 when absent, NaN when invalid
+ */
+function parseAmount(value) {
+  if (value === undefined || value === null) return 0;
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : NaN;
+}
+
+/**
+ * Free the driver of a cancelled trip for new rides: the assigned driver, or
+ * the driver the request is being offered to if nobody has accepted yet. The
+ * rest of the queue is dropped; queued drivers are not locked until offered.
+ */
+async function releaseDriver(rideRequest, requestId) {
+  const driverId = rideRequest.driver_id ||
+    await redisClient.sendCommand(['GET', `ride:request:${requestId}:current_driver`]);
+  await notificationService.cleanupRequestQueue(requestId);
+  if (!driverId) return;
+  await driverAvailability.transition(driverId, 'available', {
+    from: ['dispatched', 'en_route_to_pickup', 'on_trip'],
+    requestId
+  });
+  await driverLocks.releaseDriverLock(driverId, requestId);
+}
 
 // Trip management routes
 
 // GET /api/trips/active - Get current active trip for authenticated driver
-router.get('/active', authenticateJWT, async (req, res) => {
+router.get('/active', authenticateJWT, requirePermission('trips:manage'), async (req, res) => {
   try {
     const driverId = req.user.id || req.user.userId || req.user.driverId;
     if (!driverId) {
@@ -50,13 +81,23 @@ router.get('/active', authenticateJWT, async (req, res) => {
 });
 
 // POST /api/trips/:id/start - Start a trip (passenger picked up)
-router.post('/:id/start', authenticateJWT, async (req, res) => {
+router.post('/:id/start', authenticateJWT, requirePermission('trips:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const driverId = req.user.id || req.user.userId || req.user.driverId;
+
+    // Only the driver heading to this pickup can start the trip
+    const moved = await driverAvailability.transition(driverId, 'on_trip', { from: ['en_route_to_pickup'], requestId: id });
+    if (!moved.ok) {
+      return res.status(409).json({
+        error: 'INVALID_DRIVER_STATE',
+        message: `Cannot start a trip while ${moved.state || 'offline'}`,
+        state: moved.state
+      });
+    }
     
-    // Update trip status in database and Redis
-    await rideRequestsDb.updateRideRequestStatus(id, 'in_transit');
+    // Update trip status (and pickup time) in database and Redis
+    await rideRequestsDb.startRideRequest(id);
     await redisClient.sendCommand(['SET', `ride:request:${id}:status`, 'in_transit']);
 
     // Fetch ride request to get passengerId and notify rider
@@ -87,7 +128,7 @@ router.post('/:id/start', authenticateJWT, async (req, res) => {
 });
 
 // POST /api/trips/:id/complete - Complete a trip
-router.post('/:id/complete', authenticateJWT, async (req, res) => {
+router.post('/:id/complete', authenticateJWT, requirePermission('trips:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const driverId = req.user.id || req.user.userId || req.user.driverId;
@@ -95,17 +136,49 @@ router.post('/:id/complete', authenticateJWT, async (req, res) => {
       finalOdometerReading, 
       actualDistance, 
       waitTime = 0,
-      tolls = 0,
       notes 
     } = req.body;
-    
-    // Update trip status in database and Redis
-    await rideRequestsDb.updateRideRequestStatus(id, 'completed');
+    const tolls = parseAmount(req.body.tolls);
+    const tip = parseAmount(req.body.tip);
+    const distance = actualDistance === undefined || actualDistance === null ? null : parseAmount(actualDistance);
+
+    if (Number.isNaN(tolls) || Number.isNaN(tip) || Number.isNaN(distance)) {
+      return res.status(400).json({ error: 'tolls, tip and actualDistance must be non-negative numbers' });
+    }
+
+    const existing = await rideRequestsDb.getRideRequestById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+    if (existing.driver_id !== driverId) {
+      return res.status(403).json({ error: 'You are not the driver of this trip' });
+    }
+    if (existing.status !== 'in_transit') {
+      return res.status(409).json({ error: `Cannot complete a trip that is ${existing.status}` });
+    }
+
+    // Free the driver first, so a driver who isn't on this trip can't complete it
+    const moved = await driverAvailability.transition(driverId, 'available', { from: ['on_trip'], requestId: id });
+    if (!moved.ok) {
+      return res.status(409).json({
+        error: 'INVALID_DRIVER_STATE',
+        message: `Cannot complete a trip while ${moved.state || 'offline'}`,
+        state: moved.state
+      });
+    }
+
+    // Record the fare (billed or proposed fare plus tolls) and tip, then update Redis
+    const fare = existing.final_fare ?? existing.proposed_fare;
+    const baseFare = fare !== null && fare !== undefined ? Number(fare) : null;
+    const rideRequest = await rideRequestsDb.completeRideRequest(id, {
+      finalFare: baseFare !== null && tolls > 0 ? baseFare + tolls : null,
+      tipAmount: tip,
+      actualDistance: distance
+    });
     await redisClient.sendCommand(['SET', `ride:request:${id}:status`, 'completed']);
-    
-    // Get ride request from DB to obtain proposedFare and passenger info
-    const rideRequest = await rideRequestsDb.getRideRequestById(id);
-    const finalFare = rideRequest ? rideRequest.proposed_fare : null;
+    await driverLocks.releaseDriverLock(driverId, id);
+
+    const finalFare = rideRequest.final_fare !== null ? Number(rideRequest.final_fare) : null;
     
     // Notify rider that trip has been completed
     if (rideRequest && rideRequest.passenger_id) {
@@ -113,7 +186,7 @@ router.post('/:id/complete', authenticateJWT, async (req, res) => {
       await notificationService.sendRiderNotification(
         rideRequest.passenger_id,
         'Trip completed',
-        `Your trip has been completed. Total fare: $${finalFare ? finalFare.toFixed(2) : 'N/A'}. Please rate your driver.`,
+        `Your trip has been completed. Total fare: ${finalFare !== null ? `${finalFare.toFixed(2)} ${rideRequest.currency}` : 'N/A'}. Please rate your driver.`,
         { 
           requestId: id, 
           type: 'trip_completed',
@@ -127,11 +200,15 @@ router.post('/:id/complete', authenticateJWT, async (req, res) => {
       message: 'Trip completed successfully',
       tripId: id,
       status: 'completed',
-      completedAt: new Date().toISOString(),
+      completedAt: rideRequest.completed_at,
       finalFare,
-      distance: actualDistance || null,
-      duration: 12, // minutes
-      earnings: finalFare || null,
+      tip,
+      currency: rideRequest.currency,
+      distance: rideRequest.actual_distance !== null ? Number(rideRequest.actual_distance) : null,
+      duration: rideRequest.started_at
+        ? Math.round((new Date(rideRequest.completed_at) - new Date(rideRequest.started_at)) / 60000)
+        : null, // minutes
+      earnings: finalFare !== null ? finalFare + tip : null,
       notes: notes || null,
       driverId
     });
@@ -142,10 +219,11 @@ router.post('/:id/complete', authenticateJWT, async (req, res) => {
 });
 
 // POST /api/trips/:id/cancel - Cancel a trip
-router.post('/:id/cancel', (req, res) => {
+router.post('/:id/cancel', authenticateJWT, requirePermission('trips:cancel'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason, cancelledBy = 'driver' } = req.body;
+    const { reason } = req.body;
+    const userId = req.user.driverId;
     
     if (!reason) {
       return res.status(400).json({
@@ -153,23 +231,45 @@ router.post('/:id/cancel', (req, res) => {
       });
     }
 
-    // TODO: Update trip status, handle cancellation fee logic
-    let cancellationFee = 0;
-    if (cancelledBy === 'passenger' && reason === 'no_show') {
-      cancellationFee = 5.00;
+    const existing = await rideRequestsDb.getRideRequestById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Trip not found' });
     }
 
+    // Who is cancelling comes from the token, not the request body
+    let cancelledBy;
+    if (existing.driver_id === userId) {
+      cancelledBy = 'driver';
+    } else if (String(existing.passenger_id) === String(userId)) {
+      cancelledBy = 'passenger';
+    } else {
+      return res.status(403).json({ error: 'You are not part of this trip' });
+    }
+
+    if (['completed', 'cancelled'].includes(existing.status)) {
+      return res.status(409).json({ error: `Trip is already ${existing.status}` });
+    }
+
+    // A driver cancelling because the passenger never showed up charges the passenger
+    const cancellationFee = cancelledBy === 'driver' && reason === 'no_show' ? NO_SHOW_CANCELLATION_FEE : 0;
+
+    const rideRequest = await rideRequestsDb.cancelRideRequest(id, { cancelledBy, reason, cancellationFee });
+    await redisClient.sendCommand(['SET', `ride:request:${id}:status`, 'cancelled']);
+    await releaseDriver(existing, id);
+
     res.json({
       message: 'Trip cancelled',
       tripId: id,
       status: 'cancelled',
-      cancelledAt: new Date().toISOString(),
+      cancelledAt: rideRequest.cancelled_at,
       cancelledBy,
       reason,
       cancellationFee,
-      earnings: cancellationFee * 0.8 // Driver gets 80% of cancellation fee
+      currency: rideRequest.currency,
+      earnings: cancellationFee * CANCELLATION_FEE_DRIVER_SHARE
     });
   } catch (error) {
+    console.error('[trips.cancel] Error:', error);
     res.status(500).json({ error: 'Failed to cancel trip' });
   }
 });
@@ -310,7 +410,7 @@ router.get('/:id', (req, res) => {
 });
 
 // POST /api/trips/:id/arrived - Mark driver arrival at pickup (migrated from requests.js)
-router.post('/:id/arrived', authenticateJWT, async (req, res) => {
+router.post('/:id/arrived', authenticateJWT, requirePermission('trips:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const driverId = req.user.id || req.user.userId || req.user.driverId;
@@ -348,34 +448,66 @@ router.post('/:id/arrived', authenticateJWT, async (req, res) => {
 });
 
 // POST /api/trips/:id/rate - Rate passenger after trip completion
-router.post('/:id/rate', (req, res) => {
+router.post('/:id/rate', authenticateJWT, requirePermission('trips:rate'), async (req, res) => {
   try {
     const { id } = req.params;
     const { rating, comment } = req.body;
+    const userId = req.user.driverId;
     
-    if (!rating || rating < 1 || rating > 5) {
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
       return res.status(400).json({
         error: 'Rating must be between 1 and 5'
       });
     }
 
-    // TODO: Save rating in database
+    const rideRequest = await rideRequestsDb.getRideRequestById(id);
+    if (!rideRequest) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    // Drivers rate their passenger, passengers rate their driver
+    let raterRole;
+    let rateeId;
+    if (rideRequest.driver_id === userId) {
+      raterRole = 'driver';
+      rateeId = rideRequest.passenger_id;
+    } else if (String(rideRequest.passenger_id) === String(userId)) {
+      raterRole = 'passenger';
+      rateeId = rideRequest.driver_id;
+    } else {
+      return res.status(403).json({ error: 'You are not part of this trip' });
+    }
+
+    if (rideRequest.status !== 'completed' || !rateeId) {
+      return res.status(409).json({ error: 'Only completed trips can be rated' });
+    }
+
+    const saved = await ratingsDb.createRating({
+      rideRequestId: rideRequest.id,
+      raterId: userId,
+      rateeId,
+      raterRole,
+      score: rating,
+      comment
+    });
+    if (!saved) {
+      return res.status(409).json({ error: 'You have already rated this trip' });
+    }
+
     res.json({
-      message: 'Passenger rated successfully',
+      message: raterRole === 'driver' ? 'Passenger rated successfully' : 'Driver rated successfully',
       tripId: id,
       rating: {
-        score: rating,
-        comment: comment || null
+        score: saved.score,
+        comment: saved.comment
       }
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to rate passenger' });
+    console.error('[trips.rate] Error:', error);
+    res.status(500).json({ error: 'Failed to save rating' });
   }
 });
 
-// Allowed currency codes for payment requests
-const ALLOWED_CURRENCIES = ['HBD', 'HIVE'];
-
 /**
  * @swagger
  * /api/trips/{id}/payment-request:
@@ -415,7 +547,7 @@ const ALLOWED_CURRENCIES = ['HBD', 'HIVE'];
  *               currencyCode:
  *                 type: string
  *                 enum: [HBD, HIVE]
- *                 description: Currency code for the payment
+ *                 description: Currency code for the payment; must be the currency the ride was requested in
  *                 example: "HBD"
  *               invoice:
  *                 type: string
@@ -461,10 +593,12 @@ const ALLOWED_CURRENCIES = ['HBD', 'HIVE'];
  *         description: Driver not authorized for this trip
  *       404:
  *         description: Trip not found
+ *       409:
+ *         description: currencyCode differs from the currency the trip is priced in
  *       500:
  *         description: Internal server error
  */
-router.post('/:id/payment-request', authenticateJWT, async (req, res) => {
+router.post('/:id/payment-request', authenticateJWT, requirePermission('trips:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const driverId = req.user.id || req.user.userId || req.user.driverId;
@@ -484,10 +618,10 @@ router.post('/:id/payment-request', authenticateJWT, async (req, res) => {
     }
 
     // Validate currency code against allowlist
-    if (!ALLOWED_CURRENCIES.includes(currencyCode)) {
+    if (!CRYPTO_CURRENCIES.includes(currencyCode)) {
       return res.status(400).json({
         error: 'INVALID_CURRENCY',
-        message: `Invalid currency code. Allowed currencies: ${ALLOWED_CURRENCIES.join(', ')}`
+        message: `Invalid currency code. Allowed currencies: ${CRYPTO_CURRENCIES.join(', ')}`
       });
     }
 
@@ -526,6 +660,18 @@ router.post('/:id/payment-request', authenticateJWT, async (req, res) => {
       });
     }
 
+    // Fares, tips and tolls are all recorded in the currency the rider chose;
+    // fiat trips are settled outside Hive
+    if (currencyCode !== rideRequest.currency) {
+      return res.status(409).json({
+        error: 'CURRENCY_MISMATCH',
+        message: `This trip is priced in ${rideRequest.currency}`
+      });
+    }
+
+    // Before completion, the amount billed becomes the trip's fare
+    await rideRequestsDb.setTripPayment(id, { amount: amountNum });
+
     // Get driver name for notification
     const userDb = require('../db/users');
     const driver = await userDb.getUserById(driverId);
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const userDb = require('../db/users');
 const communitiesDb = require('../db/communities');
+const sessionsDb = require('../db/sessions');
 const authenticateJWT = require('../middleware/auth');
 
 // GET /api/users/:username/communities - Get all communities for a user
@@ -46,7 +47,7 @@ router.get('/:username/communities', async (req, res) => {
   }
 });
 
-// POST /api/users/fcm-token - Save FCM token for push notifications
+// POST /api/users/fcm-token - Save FCM token for push notifications on the current session
 router.post('/fcm-token', authenticateJWT, async (req, res) => {
   try {
     const userId = req.user.driverId;
@@ -54,9 +55,16 @@ router.post('/fcm-token', authenticateJWT, async (req, res) => {
     if (!fcmToken) {
       return res.status(400).json({ error: 'FCM token is required' });
     }
-    // Save token in database (add fcm_token field to users table if not present)
-    await userDb.updateUserById(userId, { fcm_token: fcmToken });
-    res.json({ message: 'FCM token saved successfully' });
+    // Tokens issued before sessions existed have no sid; keep the legacy column for them
+    if (!req.user.sid) {
+      await userDb.updateUserById(userId, { fcm_token: fcmToken });
+      return res.json({ message: 'FCM token saved successfully' });
+    }
+    const session = await sessionsDb.setSessionPushToken(req.user.sid, fcmToken);
+    if (!session) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+    res.json({ message: 'FCM token saved successfully', sessionId: session.id });
   } catch (error) {
     res.status(500).json({ error: 'Failed to save FCM token', details: error.message });
   }
@@ -1,8 +1,35 @@
 // src/server.js
+require('dotenv').config();
+const { assertTestAuthConfig } = require('./utils/testAuth');
+
+// Refuse to start with test identities switched on in production
+try {
+  assertTestAuthConfig();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
 const app = require('./app');
+const apiKeyUsageService = require('./services/apiKeyUsageService');
+const locationHistoryService = require('./services/locationHistoryService');
+const driverDocumentService = require('./services/driverDocumentService');
 const port = process.env.PORT || 3001;
 
 app.listen(port, '0.0.0.0', () => {
   console.log(`🚀 Hive Taxi Driver API running on port ${port}`);
   console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
 });
+
+// Persist API key usage counters from Redis to Postgres
+apiKeyUsageService.startFlusher();
+
+// Persist buffered driver location pings, and rebuild the online driver set
+// from Postgres if Redis came back empty
+locationHistoryService.startFlusher();
+locationHistoryService.restoreOnlineDrivers()
+  .then(count => count > 0 && console.log(`📍 Restored ${count} online drivers from location history`))
+  .catch(err => console.error('Error restoring online drivers:', err));
+
+// Expire approved driver documents past their last valid day
+driverDocumentService.startExpirySweep();
@@ -0,0 +1,154 @@
+// src/services/apiKeyUsageService.js
+// Per-API-key request metering and quota enforcement. Counters live in Redis
+// (per route per UTC day, plus day and month totals) and are flushed to the
+// api_key_usage table periodically.
+const redisClient = require('../db/redis');
+const apiKeyUsageDb = require('../db/apiKeyUsage');
+
+const FLUSH_INTERVAL_MS = parseInt(process.env.API_KEY_USAGE_FLUSH_INTERVAL_MS, 10) || 60 * 1000;
+const PENDING_SET_KEY = 'apikey:usage:pending';
+const DAY_TTL_SECONDS = 3 * 24 * 60 * 60;
+const MONTH_TTL_SECONDS = 32 * 24 * 60 * 60;
+
+// Refuse the request if a quota is already used up, otherwise count it.
+// Returns [status, dayCount, monthCount]; status 0 = ok, 1 = daily quota hit, 2 = monthly quota hit.
+const RECORD_SCRIPT = `
+local day = tonumber(redis.call('GET', KEYS[1]) or '0')
+local month = tonumber(redis.call('GET', KEYS[2]) or '0')
+local dailyQuota = tonumber(ARGV[1])
+local monthlyQuota = tonumber(ARGV[2])
+if dailyQuota > 0 and day >= dailyQuota then
+  return { 1, day, month }
+end
+if monthlyQuota > 0 and month >= monthlyQuota then
+  return { 2, day, month }
+end
+day = redis.call('INCR', KEYS[1])
+redis.call('EXPIRE', KEYS[1], ARGV[5])
+month = redis.call('INCR', KEYS[2])
+redis.call('EXPIRE', KEYS[2], ARGV[6])
+redis.call('HINCRBY', KEYS[3], ARGV[3], 1)
+redis.call('EXPIRE', KEYS[3], ARGV[5])
+redis.call('SADD', KEYS[4], ARGV[4])
+return { 0, day, month }
+`;
+
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function utcMonth(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+class ApiKeyUsageService {
+  constructor() {
+    this.flushTimer = null;
+  }
+
+  _dayTotalKey(apiKeyId, day) {
+    return `apikey:usage:${apiKeyId}:day:${day}`;
+  }
+
+  _monthTotalKey(apiKeyId, month) {
+    return `apikey:usage:${apiKeyId}:month:${month}`;
+  }
+
+  _routesKey(apiKeyId, day) {
+    return `apikey:usage:${apiKeyId}:routes:${day}`;
+  }
+
+  /**
+   * Count a request against a key, unless one of its quotas is used up
+   * @param {object} apiKey - { id, dailyQuota, monthlyQuota }
+   * @param {string} route - Route label, e.g. 'POST /api/communities/:hive_tag/members'
+   * @returns {Promise<{allowed: boolean, period?: string, limit?: number, day: number, month: number}>}
+   */
+  async recordRequest(apiKey, route) {
+    const now = new Date();
+    const day = utcDay(now);
+    const [status, dayCount, monthCount] = await redisClient.sendCommand([
+      'EVAL', RECORD_SCRIPT, '4',
+      this._dayTotalKey(apiKey.id, day),
+      this._monthTotalKey(apiKey.id, utcMonth(now)),
+      this._routesKey(apiKey.id, day),
+      PENDING_SET_KEY,
+      String(apiKey.dailyQuota || 0),
+      String(apiKey.monthlyQuota || 0),
+      route,
+      `${apiKey.id}:${day}`,
+      String(DAY_TTL_SECONDS),
+      String(MONTH_TTL_SECONDS)
+    ]);
+
+    const counts = { day: Number(dayCount), month: Number(monthCount) };
+    if (Number(status) === 1) {
+      return { allowed: false, period: 'day', limit: apiKey.dailyQuota, ...counts };
+    }
+    if (Number(status) === 2) {
+      return { allowed: false, period: 'month', limit: apiKey.monthlyQuota, ...counts };
+    }
+    return { allowed: true, ...counts };
+  }
+
+  /**
+   * Seconds until a quota period resets (UTC midnight, or the 1st of next month)
+   * @param {string} period - 'day' or 'month'
+   */
+  secondsUntilReset(period) {
+    const now = new Date();
+    const reset = period === 'day'
+      ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+      : Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+    return Math.ceil((reset - now.getTime()) / 1000);
+  }
+
+  /**
+   * Requests counted so far today and this month for a key
+   * @param {number} apiKeyId
+   * @returns {Promise<{day: number, month: number}>}
+   */
+  async getCurrentCounts(apiKeyId) {
+    const now = new Date();
+    const [day, month] = await redisClient.sendCommand([
+      'MGET', this._dayTotalKey(apiKeyId, utcDay(now)), this._monthTotalKey(apiKeyId, utcMonth(now))
+    ]);
+    return { day: Number(day) || 0, month: Number(month) || 0 };
+  }
+
+  /**
+   * Copy every pending per-route day counter to Postgres. Days older than
+   * yesterday are dropped from the pending set once written, since no more
+   * requests can land on them.
+   */
+  async flush() {
+    const pending = await redisClient.sendCommand(['SMEMBERS', PENDING_SET_KEY]);
+    const yesterday = utcDay(new Date(Date.now() - 24 * 60 * 60 * 1000));
+
+    for (const member of pending) {
+      const [apiKeyId, day] = member.split(':');
+      const fields = await redisClient.sendCommand(['HGETALL', this._routesKey(apiKeyId, day)]);
+
+      for (let i = 0; i < fields.length; i += 2) {
+        await apiKeyUsageDb.upsertUsage(apiKeyId, day, fields[i], parseInt(fields[i + 1], 10));
+      }
+
+      if (day < yesterday || fields.length === 0) {
+        await redisClient.sendCommand(['SREM', PENDING_SET_KEY, member]);
+      }
+    }
+  }
+
+  /**
+   * Flush on an interval for the lifetime of the process
+   */
+  startFlusher() {
+    if (this.flushTimer) return;
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(err => console.error('Error flushing API key usage:', err));
+    }, FLUSH_INTERVAL_MS);
+    this.flushTimer.unref();
+  }
+}
+
+module.exports = new ApiKeyUsageService();
@@ -0,0 +1,107 @@
+// src/services/documentStorage.js
+// Blob storage for uploaded driver documents: a local directory in development
+// and an S3-compatible bucket (AWS S3, MinIO, R2, ...) in production
+const fs = require('fs/promises');
+const path = require('path');
+
+const DOCUMENT_STORAGE_DIR = process.env.DOCUMENT_STORAGE_DIR || path.join(process.cwd(), 'document-storage');
+
+/**
+ * Pick a backend: DOCUMENT_STORAGE wins, otherwise S3 in production and the
+ * local directory everywhere else
+ */
+function resolveBackendName() {
+  if (process.env.DOCUMENT_STORAGE) return process.env.DOCUMENT_STORAGE;
+  return process.env.NODE_ENV === 'production' ? 's3' : 'local';
+}
+
+class DocumentStorage {
+  constructor() {
+    this.backend = resolveBackendName();
+    this.s3 = null;
+
+    if (this.backend === 's3') {
+      if (!process.env.DOCUMENT_S3_BUCKET) {
+        console.warn('⚠️  DOCUMENT_S3_BUCKET not set, document uploads will fail');
+      }
+      const { S3Client } = require('@aws-sdk/client-s3');
+      this.bucket = process.env.DOCUMENT_S3_BUCKET || '';
+      // Credentials come from the standard AWS environment / instance role.
+      // Set DOCUMENT_S3_ENDPOINT for S3-compatible services other than AWS.
+      this.s3 = new S3Client({
+        region: process.env.DOCUMENT_S3_REGION || process.env.AWS_REGION || 'us-east-1',
+        ...(process.env.DOCUMENT_S3_ENDPOINT && {
+          endpoint: process.env.DOCUMENT_S3_ENDPOINT,
+          forcePathStyle: true
+        })
+      });
+    } else if (this.backend !== 'local') {
+      throw new Error(`Unknown DOCUMENT_STORAGE: ${this.backend}`);
+    }
+  }
+
+  // Keys are generated by us ('drivers/<id>/<uuid>.<ext>'), but never let one
+  // point outside the storage directory
+  _localPath(key) {
+    const filePath = path.resolve(DOCUMENT_STORAGE_DIR, key);
+    if (!filePath.startsWith(path.resolve(DOCUMENT_STORAGE_DIR) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Object key, e.g. 'drivers/12/<uuid>.pdf'
+   * @param {Buffer} body - File contents
+   * @param {string} contentType - MIME type
+   */
+  async put(key, body, contentType) {
+    if (this.s3) {
+      const { PutObjectCommand } = require('@aws-sdk/client-s3');
+      await this.s3.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        ServerSideEncryption: 'AES256'
+      }));
+      return;
+    }
+
+    const filePath = this._localPath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+  }
+
+  /**
+   * Read a stored file
+   * @param {string} key - Object key
+   * @returns {Promise<Buffer>}
+   */
+  async get(key) {
+    if (this.s3) {
+      const { GetObjectCommand } = require('@aws-sdk/client-s3');
+      const result = await this.s3.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return Buffer.from(await result.Body.transformToByteArray());
+    }
+
+    return fs.readFile(this._localPath(key));
+  }
+
+  /**
+   * Delete a stored file (used to clean up when saving its record fails)
+   * @param {string} key - Object key
+   */
+  async remove(key) {
+    if (this.s3) {
+      const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+      await this.s3.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+      return;
+    }
+
+    await fs.rm(this._localPath(key), { force: true });
+  }
+}
+
+module.exports = new DocumentStorage();
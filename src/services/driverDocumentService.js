@@ -0,0 +1,263 @@
+// src/services/driverDocumentService.js
+// Driver document uploads, reviews and expiry. Files go to documentStorage;
+// driver_documents tracks each one through pending -> approved | rejected,
+// and approved -> expired once its last valid day has passed. A driver whose
+// required document has lapsed may not go online.
+const crypto = require('crypto');
+const redisClient = require('../db/redis');
+const driverDocumentsDb = require('../db/driverDocuments');
+const documentStorage = require('./documentStorage');
+const driverAvailability = require('../utils/driverAvailability');
+
+const DOCUMENT_TYPES = ['driver_license', 'vehicle_registration', 'insurance', 'background_check'];
+// Types whose approved copy must not have lapsed for the driver to go online.
+// A type the driver has never had approved does not block them.
+const REQUIRED_DOCUMENT_TYPES = ['driver_license', 'vehicle_registration', 'insurance'];
+// Types that are issued with an expiry date, which the driver must give on upload
+const EXPIRING_DOCUMENT_TYPES = ['driver_license', 'vehicle_registration', 'insurance'];
+
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+// Accepted formats, with the leading bytes every such file starts with
+const CONTENT_TYPES = {
+  'application/pdf': { extension: 'pdf', magic: Buffer.from('%PDF-') },
+  'image/jpeg': { extension: 'jpg', magic: Buffer.from([0xff, 0xd8, 0xff]) },
+  'image/png': { extension: 'png', magic: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) }
+};
+
+// Community roles that may review their members' documents (platform admins
+// may review anyone's)
+const COMMUNITY_REVIEWER_ROLES = ['Admin'];
+
+// Location pings check compliance on every call, so the answer is cached
+const COMPLIANCE_CACHE_TTL_SECONDS = 300;
+const EXPIRY_SWEEP_INTERVAL_MS = parseInt(process.env.DRIVER_DOCUMENT_EXPIRY_SWEEP_MS, 10) || 60 * 60 * 1000;
+
+function complianceKey(driverId) {
+  return `driver:documents:compliance:${driverId}`;
+}
+
+/**
+ * Decode a base64 upload, or null if it is not valid base64
+ */
+function decodeBase64(data) {
+  if (typeof data !== 'string') return null;
+  // Tolerate data: URLs and line-wrapped base64
+  const base64 = data.replace(/^data:[^;,]+;base64,/, '').replace(/\s+/g, '');
+  if (base64.length === 0 || base64.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+    return null;
+  }
+  return Buffer.from(base64, 'base64');
+}
+
+class DriverDocumentService {
+  constructor() {
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Validate and store an uploaded document as pending review
+   * @param {number} driverId
+   * @param {object} upload
+   * @param {string} upload.documentType - One of DOCUMENT_TYPES
+   * @param {string} upload.contentType - application/pdf, image/jpeg or image/png
+   * @param {string} upload.data - File contents, base64-encoded
+   * @param {string} [upload.fileName] - Original file name, kept for reviewers
+   * @param {string} [upload.expiresOn] - Last valid day (YYYY-MM-DD)
+   * @returns {Promise<{document?: object, error?: string, message?: string}>}
+   */
+  async upload(driverId, { documentType, contentType, data, fileName, expiresOn }) {
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      return { error: 'INVALID_DOCUMENT_TYPE', message: `documentType must be one of: ${DOCUMENT_TYPES.join(', ')}` };
+    }
+
+    const format = CONTENT_TYPES[contentType];
+    if (!format) {
+      return { error: 'UNSUPPORTED_CONTENT_TYPE', message: `contentType must be one of: ${Object.keys(CONTENT_TYPES).join(', ')}` };
+    }
+
+    if (expiresOn !== undefined && expiresOn !== null) {
+      const date = new Date(`${expiresOn}T00:00:00Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(expiresOn) || Number.isNaN(date.getTime()) ||
+          date.toISOString().slice(0, 10) !== expiresOn) {
+        return { error: 'INVALID_EXPIRY_DATE', message: 'expiresOn must be a date in YYYY-MM-DD format' };
+      }
+      if (expiresOn < new Date().toISOString().slice(0, 10)) {
+        return { error: 'DOCUMENT_EXPIRED', message: 'This document has already expired' };
+      }
+    } else if (EXPIRING_DOCUMENT_TYPES.includes(documentType)) {
+      return { error: 'EXPIRY_DATE_REQUIRED', message: `expiresOn is required for ${documentType}` };
+    }
+
+    const body = decodeBase64(data);
+    if (!body) {
+      return { error: 'INVALID_FILE', message: 'data must be the base64-encoded file' };
+    }
+    if (body.length > MAX_DOCUMENT_BYTES) {
+      return { error: 'FILE_TOO_LARGE', message: `Documents may be at most ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB` };
+    }
+    if (!body.subarray(0, format.magic.length).equals(format.magic)) {
+      return { error: 'INVALID_FILE', message: `File contents are not ${contentType}` };
+    }
+
+    const storageKey = `drivers/${driverId}/${crypto.randomUUID()}.${format.extension}`;
+    await documentStorage.put(storageKey, body, contentType);
+
+    let document;
+    try {
+      document = await driverDocumentsDb.createDocument({
+        userId: driverId,
+        documentType,
+        storageKey,
+        fileName: typeof fileName === 'string' ? fileName.slice(0, 255) : null,
+        contentType,
+        sizeBytes: body.length,
+        checksum: crypto.createHash('sha256').update(body).digest('hex'),
+        expiresOn
+      });
+    } catch (error) {
+      await documentStorage.remove(storageKey).catch(() => {});
+      throw error;
+    }
+
+    await this.invalidateCompliance(driverId);
+    return { document };
+  }
+
+  /**
+   * A driver's current document of every type (null when never uploaded),
+   * plus whether they may go online
+   * @param {number} driverId
+   * @returns {Promise<{documents: object, compliance: object}>}
+   */
+  async getDriverDocuments(driverId) {
+    const [current, compliance] = await Promise.all([
+      driverDocumentsDb.getCurrentDocuments(driverId),
+      this.getCompliance(driverId)
+    ]);
+    const documents = {};
+    for (const type of DOCUMENT_TYPES) {
+      documents[type] = current.find(document => document.document_type === type) || null;
+    }
+    return {
+      documents,
+      compliance: { ...compliance, requiredTypes: REQUIRED_DOCUMENT_TYPES }
+    };
+  }
+
+  /**
+   * Approve or reject a pending document
+   * @param {object} document - driver_documents row
+   * @param {number} reviewerId - Reviewing user's ID
+   * @param {string} decision - 'approve' or 'reject'
+   * @param {string} [reason] - Required when rejecting; shown to the driver
+   * @returns {Promise<{document?: object, error?: string, message?: string}>}
+   */
+  async review(document, reviewerId, decision, reason) {
+    if (decision !== 'approve' && decision !== 'reject') {
+      return { error: 'INVALID_DECISION', message: "decision must be 'approve' or 'reject'" };
+    }
+    if (decision === 'reject' && (typeof reason !== 'string' || !reason.trim())) {
+      return { error: 'REASON_REQUIRED', message: 'A reason is required when rejecting a document' };
+    }
+    if (String(document.user_id) === String(reviewerId)) {
+      return { error: 'OWN_DOCUMENT', message: 'You cannot review your own documents' };
+    }
+
+    const reviewed = await driverDocumentsDb.reviewDocument(document.id, {
+      status: decision === 'approve' ? 'approved' : 'rejected',
+      reviewerId,
+      rejectionReason: decision === 'reject' ? reason.trim() : null
+    });
+    if (!reviewed) {
+      return { error: 'NOT_PENDING', message: 'Only pending documents can be reviewed' };
+    }
+
+    await this.invalidateCompliance(document.user_id);
+    return { document: reviewed };
+  }
+
+  /**
+   * Whether a user may review a driver's documents: platform admins always,
+   * community admins for members of their communities
+   * @param {object} user - req.user
+   * @param {number} driverId - Document owner's ID
+   * @returns {Promise<boolean>}
+   */
+  async canReview(user, driverId) {
+    if (user.type === 'admin') return true;
+    return driverDocumentsDb.canCommunityReview(user.driverId, driverId, COMMUNITY_REVIEWER_ROLES);
+  }
+
+  /**
+   * List documents for a reviewer's queue
+   * @param {object} user - req.user
+   * @param {object} filters - { status, limit, offset }
+   */
+  async listForReviewer(user, filters) {
+    return driverDocumentsDb.listDocumentsForReviewer({
+      reviewerId: user.driverId,
+      allDrivers: user.type === 'admin',
+      reviewerRoles: COMMUNITY_REVIEWER_ROLES,
+      ...filters
+    });
+  }
+
+  /**
+   * Check a driver's required documents. Cached in Redis; uploads, reviews
+   * and the expiry sweep clear the cache for the drivers they touch.
+   * @param {number} driverId
+   * @returns {Promise<{canGoOnline: boolean, lapsed: string[]}>} lapsed lists
+   *   required document types whose approved copy has expired
+   */
+  async getCompliance(driverId) {
+    const cached = await redisClient.sendCommand(['GET', complianceKey(driverId)]);
+    if (cached) {
+      return JSON.parse(cached);
+    }
+
+    const inForce = await driverDocumentsDb.getInForceDocuments(driverId, REQUIRED_DOCUMENT_TYPES);
+    const lapsed = inForce.filter(document => document.lapsed).map(document => document.document_type);
+    const compliance = { canGoOnline: lapsed.length === 0, lapsed };
+
+    await redisClient.sendCommand([
+      'SET', complianceKey(driverId), JSON.stringify(compliance), 'EX', String(COMPLIANCE_CACHE_TTL_SECONDS)
+    ]);
+    return compliance;
+  }
+
+  async invalidateCompliance(driverId) {
+    await redisClient.sendCommand(['DEL', complianceKey(driverId)]);
+  }
+
+  /**
+   * Mark lapsed approvals as expired and take affected drivers offline
+   * @returns {Promise<number>} Drivers affected
+   */
+  async expireLapsedDocuments() {
+    const driverIds = await driverDocumentsDb.expireLapsedDocuments();
+    for (const driverId of driverIds) {
+      await this.invalidateCompliance(driverId);
+      const compliance = await this.getCompliance(driverId);
+      if (!compliance.canGoOnline) {
+        await redisClient.zRem('drivers:online', `driver:${driverId}`);
+        await driverAvailability.transition(driverId, 'offline', { from: ['available', 'on_break'] });
+      }
+    }
+    return driverIds.length;
+  }
+
+  /**
+   * Start the periodic expiry sweep (runs once straight away)
+   */
+  startExpirySweep() {
+    if (this.sweepTimer) return;
+    const sweep = () => this.expireLapsedDocuments()
+      .then(count => count > 0 && console.log(`📄 Expired documents for ${count} drivers`))
+      .catch(err => console.error('Error expiring driver documents:', err));
+    sweep();
+    this.sweepTimer = setInterval(sweep, EXPIRY_SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+}
+
+module.exports = new DriverDocumentService();
@@ -0,0 +1,91 @@
+// src/services/emailService.js
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Hive Taxi <no-reply@localhost>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+
+/**
+ * Pick a transport: EMAIL_TRANSPORT wins, otherwise SendGrid in production,
+ * an in-memory store in tests and the local outbox directory everywhere else
+ */
+function resolveTransportName() {
+  if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'production') return 'sendgrid';
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  return 'outbox';
+}
+
+class EmailService {
+  constructor() {
+    this.transport = resolveTransportName();
+    // Messages captured by the 'memory' transport, newest last
+    this.sentMessages = [];
+    this.sendgrid = null;
+
+    if (this.transport === 'sendgrid') {
+      if (!process.env.SENDGRID_API_KEY) {
+        console.warn('⚠️  SENDGRID_API_KEY not set, emails will fail to send');
+      }
+      this.sendgrid = require('@sendgrid/mail');
+      this.sendgrid.setApiKey(process.env.SENDGRID_API_KEY || '');
+    } else if (!['outbox', 'memory'].includes(this.transport)) {
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${this.transport}`);
+    }
+  }
+
+  /**
+   * Send an email through the configured transport
+   * @param {object} message
+   * @param {string} message.to - Recipient address
+   * @param {string} message.subject - Subject line
+   * @param {string} message.text - Plain-text body
+   * @param {string} [message.html] - Optional HTML body
+   */
+  async send({ to, subject, text, html }) {
+    const message = { from: EMAIL_FROM, to, subject, text, ...(html && { html }) };
+
+    if (this.transport === 'sendgrid') {
+      await this.sendgrid.send(message);
+      return;
+    }
+
+    if (this.transport === 'memory') {
+      this.sentMessages.push({ ...message, sentAt: new Date().toISOString() });
+      return;
+    }
+
+    // outbox: one JSON file per message so developers can open the links
+    await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    const filePath = path.join(MAIL_OUTBOX_DIR, fileName);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    console.log(`📧 Email to ${to} written to ${filePath}`);
+  }
+
+  /**
+   * Send a password reset link
+   * @param {string} to - Recipient address
+   * @param {string} token - Plain reset token (only ever sent by email)
+   * @param {number} ttlMinutes - How long the token stays valid
+   */
+  async sendPasswordReset(to, token, ttlMinutes) {
+    const resetUrl = process.env.PASSWORD_RESET_URL
+      ? `${process.env.PASSWORD_RESET_URL}?token=${encodeURIComponent(token)}`
+      : null;
+    const instructions = resetUrl
+      ? `Reset your password here: ${resetUrl}`
+      : `Use this code to reset your password: ${token}`;
+
+    return this.send({
+      to,
+      subject: 'Reset your Hive Taxi password',
+      text: `We received a request to reset your Hive Taxi password.\n\n${instructions}\n\n` +
+        `This link expires in ${ttlMinutes} minutes and can only be used once. ` +
+        'If you did not request a reset, you can ignore this email.'
+    });
+  }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,245 @@
+// src/services/locationHistoryService.js
+// Driver location history. POST /api/drivers/location pushes each ping onto a
+// Redis list; a flusher moves them in batches into the monthly-partitioned
+// driver_locations table and keeps users.last_lat/last_long current.
+const redisClient = require('../db/redis');
+const driverLocationsDb = require('../db/driverLocations');
+const rideRequestsDb = require('../db/rideRequests');
+const driverAvailability = require('../utils/driverAvailability');
+const driverLocks = require('../utils/driverLocks');
+
+const BUFFER_KEY = 'drivers:location:buffer';
+const FLUSH_INTERVAL_MS = parseInt(process.env.DRIVER_LOCATION_FLUSH_INTERVAL_MS, 10) || 5000;
+const BATCH_SIZE = 1000;
+// If Postgres is unreachable for long, drop the oldest pings rather than fill Redis
+const MAX_BUFFER_LENGTH = 500000;
+// Matches the driver:last_seen TTL set by POST /api/drivers/location
+const LAST_SEEN_TTL_SECONDS = 300;
+// Pings Postgres will never accept are set aside here for inspection
+const DEAD_LETTER_KEY = 'drivers:location:dead';
+const MAX_DEAD_LETTER_LENGTH = 10000;
+
+function monthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * A buffered ping, or null if the entry isn't one
+ */
+function parsePing(entry) {
+  let ping;
+  try {
+    ping = JSON.parse(entry);
+  } catch (err) {
+    return null;
+  }
+  if (!ping || !Number.isInteger(Number(ping.driverId)) ||
+      !Number.isFinite(ping.latitude) || !Number.isFinite(ping.longitude) ||
+      Number.isNaN(Date.parse(ping.recordedAt))) {
+    return null;
+  }
+  return ping;
+}
+
+// Data exceptions (22xxx) and constraint violations (23xxx), e.g. a ping from a
+// deleted driver, fail the same way however often they are retried
+function isDataError(err) {
+  return typeof err.code === 'string' && /^2[23]/.test(err.code);
+}
+
+class LocationHistoryService {
+  constructor() {
+    this.flushTimer = null;
+    this.flushing = false;
+    // Months whose partition is known to exist
+    this.partitions = new Set();
+  }
+
+  /**
+   * Buffer a location ping for the history table
+   * @param {number} driverId
+   * @param {object} ping - { latitude, longitude, speed, heading, accuracy, recordedAt (Date) }
+   */
+  async record(driverId, ping) {
+    const entry = JSON.stringify({
+      driverId,
+      latitude: ping.latitude,
+      longitude: ping.longitude,
+      speed: ping.speed ?? null,
+      heading: ping.heading ?? null,
+      accuracy: ping.accuracy ?? null,
+      recordedAt: ping.recordedAt.toISOString()
+    });
+    await redisClient.sendCommand(['RPUSH', BUFFER_KEY, entry]);
+    await redisClient.sendCommand(['LTRIM', BUFFER_KEY, String(-MAX_BUFFER_LENGTH), '-1']);
+  }
+
+  async _ensurePartitions(pings) {
+    for (const ping of pings) {
+      const month = monthKey(new Date(ping.recordedAt));
+      if (!this.partitions.has(month)) {
+        await driverLocationsDb.ensurePartition(new Date(ping.recordedAt));
+        this.partitions.add(month);
+      }
+    }
+  }
+
+  /**
+   * Write one batch to Postgres. Entries that aren't pings, or that Postgres
+   * rejects as bad data, go to the dead-letter list. On any other failure
+   * (connection lost, timeout) the pings not yet written go back to the front
+   * of the buffer, in their original order, and the error is rethrown.
+   * @returns {Promise<number>} Entries taken off the buffer
+   */
+  async _flushBatch() {
+    const raw = await redisClient.sendCommand(['LPOP', BUFFER_KEY, String(BATCH_SIZE)]);
+    if (!raw || raw.length === 0) return 0;
+
+    const pending = [];
+    const rejected = [];
+    for (const entry of raw) {
+      const ping = parsePing(entry);
+      if (ping) {
+        pending.push({ entry, ping });
+      } else {
+        rejected.push(entry);
+      }
+    }
+
+    try {
+      const written = await this._insertPings(pending, rejected);
+
+      const latest = new Map();
+      for (const ping of written) {
+        const current = latest.get(ping.driverId);
+        if (!current || current.recordedAt < ping.recordedAt) {
+          latest.set(ping.driverId, ping);
+        }
+      }
+      await driverLocationsDb.updateLastKnownLocations([...latest.values()]);
+    } catch (err) {
+      if (pending.length > 0) {
+        await redisClient.sendCommand(['LPUSH', BUFFER_KEY, ...pending.map(p => p.entry).reverse()]);
+      }
+      await this._deadLetter(rejected);
+      throw err;
+    }
+    await this._deadLetter(rejected);
+    return raw.length;
+  }
+
+  /**
+   * Insert pings in one statement, or, if one of them is bad data, one at a
+   * time so only the bad ones are rejected. Each ping is removed from pending
+   * once written or rejected.
+   * @param {Array<{entry: string, ping: object}>} pending
+   * @param {string[]} rejected - Receives the entries Postgres refused
+   * @returns {Promise<object[]>} The pings written
+   */
+  async _insertPings(pending, rejected) {
+    try {
+      const pings = pending.map(p => p.ping);
+      await this._ensurePartitions(pings);
+      await driverLocationsDb.insertLocations(pings);
+      pending.length = 0;
+      return pings;
+    } catch (err) {
+      if (!isDataError(err)) throw err;
+    }
+
+    const written = [];
+    while (pending.length > 0) {
+      const { entry, ping } = pending[0];
+      try {
+        await this._ensurePartitions([ping]);
+        await driverLocationsDb.insertLocations([ping]);
+        written.push(ping);
+      } catch (err) {
+        if (!isDataError(err)) throw err;
+        console.warn(`Dropping driver location ping (${err.code} ${err.message}):`, entry);
+        rejected.push(entry);
+      }
+      pending.shift();
+    }
+    return written;
+  }
+
+  async _deadLetter(entries) {
+    if (entries.length === 0) return;
+    await redisClient.sendCommand(['RPUSH', DEAD_LETTER_KEY, ...entries]);
+    await redisClient.sendCommand(['LTRIM', DEAD_LETTER_KEY, String(-MAX_DEAD_LETTER_LENGTH), '-1']);
+  }
+
+  /**
+   * Drain the buffer into Postgres
+   */
+  async flush() {
+    if (this.flushing) return;
+    this.flushing = true;
+    try {
+      let written;
+      do {
+        written = await this._flushBatch();
+      } while (written === BATCH_SIZE);
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  /**
+   * Flush on an interval for the lifetime of the process
+   */
+  startFlusher() {
+    if (this.flushTimer) return;
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(err => console.error('Error flushing driver locations:', err));
+    }, FLUSH_INTERVAL_MS);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * After Redis lost its data, put online drivers (users.is_online) seen in
+   * the last few minutes back into the drivers:online GEO set from their last
+   * known location, with last_seen keys that expire when they would have.
+   * Drivers on an accepted or in-transit trip get that trip's state and lock
+   * back, so dispatch can't offer them a second ride; the rest come back as
+   * available.
+   * @returns {Promise<number>} Drivers restored
+   */
+  async restoreOnlineDrivers() {
+    const exists = await redisClient.sendCommand(['EXISTS', 'drivers:online']);
+    if (exists) return 0;
+
+    const drivers = await driverLocationsDb.getRecentLastLocations(LAST_SEEN_TTL_SECONDS);
+    const trips = drivers.length > 0
+      ? await rideRequestsDb.getActiveTripsForDrivers(drivers.map(driver => driver.id))
+      : [];
+    const tripByDriver = new Map(trips.map(trip => [String(trip.driver_id), trip]));
+    let restored = 0;
+    for (const driver of drivers) {
+      const seenAt = new Date(driver.last_location_at).getTime();
+      const ttl = LAST_SEEN_TTL_SECONDS - Math.floor((Date.now() - seenAt) / 1000);
+      if (ttl <= 0) continue;
+      await redisClient.geoAdd('drivers:online', {
+        longitude: driver.last_long,
+        latitude: driver.last_lat,
+        member: `driver:${driver.id}`
+      });
+      await redisClient.sendCommand([
+        'SET', `driver:last_seen:${driver.id}`, String(seenAt), 'EX', String(ttl)
+      ]);
+      const trip = tripByDriver.get(String(driver.id));
+      if (trip) {
+        const state = trip.status === 'in_transit' ? 'on_trip' : 'en_route_to_pickup';
+        await driverLocks.acquireDriverLock(driver.id, trip.id, driverLocks.TRIP_LOCK_TTL_SECONDS);
+        await driverAvailability.restoreRideState(driver.id, state, trip.id);
+      } else {
+        await driverAvailability.transition(driver.id, 'available', { from: ['offline'] });
+      }
+      restored++;
+    }
+    return restored;
+  }
+}
+
+module.exports = new LocationHistoryService();
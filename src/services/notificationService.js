@@ -2,7 +2,11 @@
 // src/services/notificationService.js
 let admin = null;
 const userDb = require('../db/users');
+const sessionsDb = require('../db/sessions');
+const dispatchResponsesDb = require('../db/dispatchResponses');
 const redisClient = require('../db/redis');
+const driverAvailability = require('../utils/driverAvailability');
+const driverLocks = require('../utils/driverLocks');
 
 // Initialize Firebase Admin (you'll need to add your service account key)
 try {
@@ -52,12 +56,12 @@ class NotificationService {
       } else {
         user = await userDb.getUserByUsername(userId);
       }
-      if (!user || !user.fcm_token) {
+      const tokens = user ? await this._getPushTokens(user) : [];
+      if (tokens.length === 0) {
         console.log(`User ${userId} not found or doesn't have FCM token`);
         return;
       }
       const message = {
-        token: user.fcm_token,
         notification: {
           title,
           body
@@ -82,12 +86,42 @@ class NotificationService {
         console.warn(`⚠️  Firebase not configured, skipping FCM to user ${userId}`);
         return;
       }
-      const response = await admin.messaging().send(message);
-      console.log(`FCM sent to user ${userId}:`, response);
+      const response = await this._sendToDevices(tokens, message);
+      console.log(`FCM sent to user ${userId}: ${response.successCount}/${tokens.length} devices`);
     } catch (err) {
       console.error(`Error sending FCM to user ${userId}:`, err);
     }
   }
+
+  /**
+   * Push tokens for every active session of a user. Falls back to the legacy
+   * users.fcm_token column for users who haven't signed in since sessions existed.
+   * @param {object} user - Row from the users table
+   * @returns {Promise<string[]>}
+   */
+  async _getPushTokens(user) {
+    const tokens = await sessionsDb.getActivePushTokens(user.id);
+    if (tokens.length === 0 && user.fcm_token) {
+      return [user.fcm_token];
+    }
+    return tokens;
+  }
+
+  /**
+   * Send one message to several devices, forgetting tokens FCM no longer recognises
+   * @param {string[]} tokens - FCM registration tokens
+   * @param {object} message - FCM message without a token
+   */
+  async _sendToDevices(tokens, message) {
+    const response = await admin.messaging().sendEachForMulticast({ ...message, tokens });
+    response.responses.forEach((result, i) => {
+      if (!result.success && result.error && result.error.code === 'messaging/registration-token-not-registered') {
+        sessionsDb.clearPushToken(tokens[i])
+          .catch(err => console.error('Error clearing stale push token:', err));
+      }
+    });
+    return response;
+  }
   /**
    * Send a generic FCM notification to a rider by userId
    * @param {string} userId - The rider's user ID
@@ -157,11 +191,14 @@ class NotificationService {
     return this._sendNotification(driverId, 'New Ride Request', `Pickup at ${trip.pickupLocation.address}`, data, 'ride_request');
   }
   /**
-   * Create a driver queue for a ride request
+   * Create a driver queue for a ride request. Drivers are only locked when
+   * their turn comes (see processDriverQueue), so queued drivers stay free
+   * for other requests.
+   * @returns {Promise<number>} Drivers queued
    */
   async createDriverQueue(requestId, nearbyDrivers) {
     const driverQueueKey = `ride:request:${requestId}:queue`;
-    const driverIds = nearbyDrivers.map(d => d.driverId);
+    const driverIds = nearbyDrivers.map(d => String(d.driverId));
 
     if (driverIds.length > 0) {
       // Push all driver IDs to the queue
@@ -189,6 +226,7 @@ class NotificationService {
     const status = await redisClient.sendCommand(['GET', statusKey]);
     if (status && status !== 'pending') {
       console.log(`Request ${requestId} is no longer pending, status: ${status}`);
+      await this.cleanupRequestQueue(requestId);
       return;
     }
 
@@ -208,6 +246,19 @@ class NotificationService {
       return;
     }
 
+    // Offer the ride only if no other request holds the driver and they are
+    // still available, and hold them while it's offered
+    if (!await driverLocks.acquireDriverLock(nextDriverId, requestId)) {
+      console.log(`Driver ${nextDriverId} is locked by another request, skipping for request ${requestId}`);
+      return this.processDriverQueue(requestId, rideDetails);
+    }
+    const dispatched = await driverAvailability.transition(nextDriverId, 'dispatched', { from: ['available'], requestId });
+    if (!dispatched.ok) {
+      console.log(`Driver ${nextDriverId} is ${dispatched.state}, skipping for request ${requestId}`);
+      await driverLocks.releaseDriverLock(nextDriverId, requestId);
+      return this.processDriverQueue(requestId, rideDetails);
+    }
+
     console.log(`Notifying driver ${nextDriverId} for request ${requestId}`);
 
     try {
@@ -216,7 +267,7 @@ class NotificationService {
 
       // Set current driver and wait for response
       await redisClient.sendCommand(['SET', currentDriverKey, nextDriverId]);
-      await redisClient.sendCommand(['EXPIRE', currentDriverKey, '120']); // 2 minute timeout
+      await redisClient.sendCommand(['EXPIRE', currentDriverKey, String(driverAvailability.DISPATCH_TTL_SECONDS)]);
 
       // Schedule timeout check
       setTimeout(() => {
@@ -225,6 +276,8 @@ class NotificationService {
 
     } catch (error) {
       console.error(`Failed to notify driver ${nextDriverId}:`, error);
+      await driverAvailability.transition(nextDriverId, 'available', { from: ['dispatched'], requestId });
+      await driverLocks.releaseDriverLock(nextDriverId, requestId);
       // Move to next driver immediately on error
       setTimeout(() => {
         this.processDriverQueue(requestId, rideDetails);
@@ -252,8 +305,10 @@ class NotificationService {
 
     if (currentDriver === driverId) {
       console.log(`Driver ${driverId} timed out for request ${requestId}, moving to next driver`);
-      // Log the timeout
+      // Log the timeout and free the driver for other rides
       await this.logDriverResponse(requestId, driverId, 'timeout');
+      await driverAvailability.transition(driverId, 'available', { from: ['dispatched'], requestId });
+      await driverLocks.releaseDriverLock(driverId, requestId);
       // Notify driver of expiration
       await this.sendDriverRequestExpiredNotification(driverId, requestId);
       // Process next driver
@@ -268,12 +323,12 @@ class NotificationService {
     const driver = await userDb.getUserById ?
       await userDb.getUserById(driverId) :
       await userDb.getUserByUsername(driverId);
-    if (!driver || !driver.fcm_token) {
+    const tokens = driver ? await this._getPushTokens(driver) : [];
+    if (tokens.length === 0) {
       console.log(`Driver ${driverId} has no FCM token`);
       return;
     }
     const message = {
-      token: driver.fcm_token,
       notification: {
         title: 'Ride Request Expired',
         body: 'This ride request is no longer available.'
@@ -301,8 +356,8 @@ class NotificationService {
       console.warn(`⚠️  Firebase not configured, skipping FCM to driver ${driverId}`);
       return;
     }
-    const response = await admin.messaging().send(message);
-    console.log(`FCM sent to driver ${driverId} for expired request:`, response);
+    const response = await this._sendToDevices(tokens, message);
+    console.log(`FCM sent to driver ${driverId} for expired request: ${response.successCount}/${tokens.length} devices`);
   }
 
   /**
@@ -355,6 +410,17 @@ class NotificationService {
       return false;
     }
 
+    // The driver heads to the pickup; fails if they are no longer dispatched for this request
+    if (response === 'accept') {
+      const moved = await driverAvailability.transition(driverId, 'en_route_to_pickup', { from: ['dispatched'], requestId });
+      if (!moved.ok) {
+        console.log(`Driver ${driverId} is ${moved.state}, cannot accept request ${requestId}`);
+        return false;
+      }
+      // Keep the driver reserved until the trip ends
+      await driverLocks.extendDriverLock(driverId, requestId);
+    }
+
     // Log the response
     await this.logDriverResponse(requestId, driverId, response);
 
@@ -380,6 +446,8 @@ class NotificationService {
 
     } else if (response === 'decline') {
       console.log(`Driver ${driverId} declined request ${requestId}, moving to next driver`);
+      await driverAvailability.transition(driverId, 'available', { from: ['dispatched'], requestId });
+      await driverLocks.releaseDriverLock(driverId, requestId);
       // Continue with next driver
       setTimeout(() => {
         this.processDriverQueue(requestId, { /* pass ride details */ });
@@ -400,10 +468,19 @@ class NotificationService {
 
     await redisClient.sendCommand(['RPUSH', logKey, logEntry]);
     await redisClient.sendCommand(['EXPIRE', logKey, '86400']); // 24 hours
+
+    // Keep a permanent copy for driver statistics; dispatch carries on if it fails
+    try {
+      await dispatchResponsesDb.logDispatchResponse(requestId, driverId, response);
+    } catch (error) {
+      console.error('Error saving dispatch response:', error);
+    }
   }
 
   /**
-   * Clean up Redis keys when request is resolved
+   * Clean up Redis keys when request is resolved. Drivers still waiting in
+   * its queue hold no lock for it, so dropping the queue is enough; the
+   * driver being offered the ride is released by whoever resolved it.
    */
   async cleanupRequestQueue(requestId) {
     const keys = [
@@ -0,0 +1,257 @@
+// src/services/tokenService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const userDb = require('../db/users');
+const refreshTokensDb = require('../db/refreshTokens');
+const sessionsDb = require('../db/sessions');
+const redisClient = require('../db/redis');
+const jwtKeys = require('../utils/jwtKeys');
+
+// Access tokens are short-lived; clients use the refresh token to get a new one
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const JWT_ISSUER = process.env.JWT_ISSUER || 'hivetaxi-api';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class TokenService {
+
+  /**
+   * Build the JWT claims shared by every login method
+   * @param {object} user - Row from the users table
+   * @param {string} authMethod - How the user proved their identity (e.g. 'hive_posting_key', 'password')
+   * @param {string} [sessionId] - Session the token belongs to
+   */
+  buildClaims(user, authMethod, sessionId) {
+    return {
+      driverId: user.id,
+      username: user.hive_username || user.email,
+      authMethod,
+      type: user.type,
+      ...(sessionId && { sid: sessionId })
+    };
+  }
+
+  /**
+   * Sign an access token for a user
+   * @param {object} user - Row from the users table
+   * @param {string} authMethod - How the user proved their identity
+   * @param {string} [sessionId] - Session the token belongs to
+   * @returns {string} Signed JWT
+   */
+  signAccessToken(user, authMethod, sessionId) {
+    const { kid, alg, privateKey } = jwtKeys.getSigningKey();
+    // iat has whole-second precision; iatMs lets a token issued just after a
+    // "log out everywhere" in the same second stay valid
+    return jwt.sign(
+      { ...this.buildClaims(user, authMethod, sessionId), iatMs: Date.now() },
+      privateKey,
+      {
+        algorithm: alg,
+        keyid: kid,
+        issuer: JWT_ISSUER,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+        jwtid: crypto.randomUUID()
+      }
+    );
+  }
+
+  /**
+   * Verify an access token's signature, issuer and expiry against the key
+   * named by its kid header. Throws like jwt.verify on any failure.
+   * @param {string} token - Encoded JWT
+   * @returns {object} Decoded payload
+   */
+  verifyAccessToken(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && jwtKeys.getVerificationKey(decoded.header.kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+    return jwt.verify(token, key.publicKey, {
+      algorithms: [key.alg],
+      issuer: JWT_ISSUER
+    });
+  }
+
+  /**
+   * Start a session for a device that just signed in and issue its first token pair
+   * @param {object} user - Row from the users table
+   * @param {string} authMethod - How the user proved their identity
+   * @param {object} [device] - { deviceName, platform, ipAddress, userAgent }
+   * @returns {Promise<{token: string, refreshToken: string, expiresIn: number, sessionId: string}>}
+   */
+  async startSession(user, authMethod, device = {}) {
+    const sessionId = crypto.randomUUID();
+    await sessionsDb.createSession({
+      id: sessionId,
+      userId: user.id,
+      authMethod,
+      ...device
+    });
+    const tokens = await this.issueTokenPair(user, authMethod, sessionId);
+    return { ...tokens, sessionId };
+  }
+
+  /**
+   * Issue an access token plus an opaque refresh token for a session. The
+   * session id doubles as the refresh token family id.
+   * @param {object} user - Row from the users table
+   * @param {string} authMethod - How the user proved their identity
+   * @param {string} sessionId - Session (refresh token family) to issue into
+   * @returns {Promise<{token: string, refreshToken: string, expiresIn: number}>}
+   */
+  async issueTokenPair(user, authMethod, sessionId) {
+    const familyId = sessionId;
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    await refreshTokensDb.createRefreshToken({
+      userId: user.id,
+      familyId,
+      tokenHash: hashToken(refreshToken),
+      authMethod,
+      expiresAt
+    });
+
+    return {
+      token: this.signAccessToken(user, authMethod, sessionId),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. Each refresh token works once;
+   * presenting a used one revokes its whole family, since it means the token
+   * was copied.
+   * @param {string} refreshToken - Opaque refresh token from the client
+   * @param {string} [ipAddress] - Client IP, recorded as the session's last address
+   * @returns {Promise<{tokens?: object, error?: string}>}
+   */
+  async rotateRefreshToken(refreshToken, ipAddress) {
+    const stored = await refreshTokensDb.getRefreshTokenByHash(hashToken(refreshToken));
+    if (!stored) {
+      return { error: 'INVALID_REFRESH_TOKEN' };
+    }
+
+    if (stored.revoked_at) {
+      return { error: 'REFRESH_TOKEN_REVOKED' };
+    }
+
+    if (stored.used_at) {
+      console.warn(`Refresh token reuse detected for user ${stored.user_id}, revoking family ${stored.family_id}`);
+      await refreshTokensDb.revokeTokenFamily(stored.family_id);
+      return { error: 'REFRESH_TOKEN_REUSED' };
+    }
+
+    if (new Date(stored.expires_at) < new Date()) {
+      return { error: 'REFRESH_TOKEN_EXPIRED' };
+    }
+
+    const claimed = await refreshTokensDb.markRefreshTokenUsed(stored.id);
+    if (!claimed) {
+      // Another request used this token between our read and update
+      await refreshTokensDb.revokeTokenFamily(stored.family_id);
+      return { error: 'REFRESH_TOKEN_REUSED' };
+    }
+
+    const session = await sessionsDb.getSessionById(stored.family_id);
+    if (!session || session.revoked_at) {
+      await refreshTokensDb.revokeTokenFamily(stored.family_id);
+      return { error: 'REFRESH_TOKEN_REVOKED' };
+    }
+
+    const user = await userDb.getUserById(stored.user_id);
+    if (!user) {
+      await refreshTokensDb.revokeTokenFamily(stored.family_id);
+      return { error: 'INVALID_REFRESH_TOKEN' };
+    }
+
+    await sessionsDb.touchSession(session.id, ipAddress);
+    const tokens = await this.issueTokenPair(user, stored.auth_method, session.id);
+    return { tokens };
+  }
+
+  /**
+   * End one of a user's sessions: its refresh tokens stop working at once and
+   * its access tokens are denied until they expire
+   * @param {string} sessionId - Session to revoke
+   * @param {number} userId - The session owner's ID
+   * @returns {Promise<boolean>} Whether an active session was revoked
+   */
+  async revokeSession(sessionId, userId) {
+    const revoked = await sessionsDb.revokeSession(sessionId, userId);
+    if (!revoked) return false;
+    await refreshTokensDb.revokeTokenFamily(sessionId);
+    await redisClient.sendCommand([
+      'SET', `auth:revoked:session:${sessionId}`, '1', 'EX', String(ACCESS_TOKEN_TTL_SECONDS)
+    ]);
+    return true;
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to, if it is the given user's
+   * @param {string} refreshToken - Opaque refresh token from the client
+   * @param {number} userId - The authenticated user's ID
+   * @returns {Promise<boolean>} Whether a session was revoked
+   */
+  async revokeRefreshToken(refreshToken, userId) {
+    const stored = await refreshTokensDb.getRefreshTokenByHash(hashToken(refreshToken));
+    if (!stored || String(stored.user_id) !== String(userId)) {
+      return false;
+    }
+    return this.revokeSession(stored.family_id, userId);
+  }
+
+  /**
+   * Add an access token's jti to the denylist until the token would have expired anyway
+   * @param {object} decoded - Verified JWT payload
+   */
+  async revokeAccessToken(decoded) {
+    if (!decoded.jti) return;
+    const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+    if (ttl <= 0) return;
+    await redisClient.sendCommand(['SET', `auth:revoked:jti:${decoded.jti}`, '1', 'EX', String(ttl)]);
+  }
+
+  /**
+   * Revoke every session for a user: all refresh tokens, and every access
+   * token issued up to now
+   * @param {number} userId - The user's ID
+   */
+  async revokeAllForUser(userId) {
+    await sessionsDb.revokeUserSessions(userId);
+    await refreshTokensDb.revokeUserRefreshTokens(userId);
+    // Access tokens carry no server-side record, so remember the cut-off time
+    // (in milliseconds) for as long as any of them can still be valid
+    await redisClient.sendCommand([
+      'SET', `auth:revoked:user:${userId}`, String(Date.now()), 'EX', String(ACCESS_TOKEN_TTL_SECONDS)
+    ]);
+  }
+
+  /**
+   * Check a verified access token against the denylist
+   * @param {object} decoded - Verified JWT payload
+   * @returns {Promise<boolean>}
+   */
+  async isAccessTokenRevoked(decoded) {
+    const [jtiRevoked, sessionRevoked, userRevokedAt] = await Promise.all([
+      decoded.jti
+        ? redisClient.sendCommand(['EXISTS', `auth:revoked:jti:${decoded.jti}`])
+        : 0,
+      decoded.sid
+        ? redisClient.sendCommand(['EXISTS', `auth:revoked:session:${decoded.sid}`])
+        : 0,
+      redisClient.sendCommand(['GET', `auth:revoked:user:${decoded.driverId}`])
+    ]);
+    if (jtiRevoked || sessionRevoked) return true;
+    if (!userRevokedAt) return false;
+    const issuedAtMs = Number.isFinite(decoded.iatMs) ? decoded.iatMs : decoded.iat * 1000;
+    return issuedAtMs <= Number(userRevokedAt);
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,138 @@
+// src/services/twoFactorService.js
+const crypto = require('crypto');
+const totpDb = require('../db/totp');
+const redisClient = require('../db/redis');
+const totp = require('../utils/totp');
+
+const BACKUP_CODE_PATTERN = /^[0-9a-f]{5}-?[0-9a-f]{5}$/i;
+// Wrong codes allowed per user before verify stops checking them, and for how long
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_SECONDS = 15 * 60;
+
+function failuresKey(userId) {
+  return `auth:totp:failures:${userId}`;
+}
+
+function hashBackupCode(code) {
+  const normalized = code.replace('-', '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+class TwoFactorService {
+
+  /**
+   * Whether a user has confirmed TOTP enrollment
+   * @param {number} userId
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled(userId) {
+    const enrollment = await totpDb.getTotp(userId);
+    return Boolean(enrollment && enrollment.enabled_at);
+  }
+
+  /**
+   * Create a new secret for a user who hasn't enabled TOTP yet
+   * @param {number} userId
+   * @param {string} accountName - Label for authenticator apps
+   * @returns {Promise<{secret: string, otpauthUri: string}|null>} null if already enabled
+   */
+  async startEnrollment(userId, accountName) {
+    const secret = totp.generateSecret();
+    const saved = await totpDb.savePendingTotp(userId, secret);
+    if (!saved) return null;
+    return { secret, otpauthUri: totp.buildOtpauthUri(secret, accountName) };
+  }
+
+  /**
+   * Confirm a pending enrollment with a first code and hand out backup codes
+   * @param {number} userId
+   * @param {string} code - Current code from the authenticator app
+   * @returns {Promise<string[]|null>} Backup codes, or null if the code is wrong
+   */
+  async activate(userId, code) {
+    const enrollment = await totpDb.getTotp(userId);
+    if (!enrollment || enrollment.enabled_at) return null;
+    if (!(await this._checkTotp(userId, enrollment.secret, code))) return null;
+    await totpDb.enableTotp(userId);
+    return this.regenerateBackupCodes(userId);
+  }
+
+  /**
+   * Replace a user's backup codes
+   * @param {number} userId
+   * @returns {Promise<string[]>} The new plain codes (shown once)
+   */
+  async regenerateBackupCodes(userId) {
+    const codes = totp.generateBackupCodes();
+    await totpDb.replaceBackupCodes(userId, codes.map(hashBackupCode));
+    return codes;
+  }
+
+  /**
+   * Verify a TOTP or backup code for an enrolled user. After
+   * MAX_FAILED_ATTEMPTS wrong codes the user is locked out for
+   * LOCKOUT_SECONDS and no code is checked, so a six-digit code can't be
+   * brute-forced with a stolen password or access token.
+   * @param {number} userId
+   * @param {string} code
+   * @returns {Promise<{valid: boolean, method?: string, locked?: boolean, retryAfter?: number}>}
+   *   retryAfter is in seconds
+   */
+  async verify(userId, code) {
+    const [failures, ttl] = await Promise.all([
+      redisClient.sendCommand(['GET', failuresKey(userId)]),
+      redisClient.sendCommand(['TTL', failuresKey(userId)])
+    ]);
+    if (Number(failures) >= MAX_FAILED_ATTEMPTS) {
+      return { valid: false, locked: true, retryAfter: Math.max(Number(ttl), 1) };
+    }
+
+    const enrollment = await totpDb.getTotp(userId);
+    if (!enrollment || !enrollment.enabled_at || typeof code !== 'string') {
+      return { valid: false };
+    }
+
+    let method = null;
+    if (await this._checkTotp(userId, enrollment.secret, code.trim())) {
+      method = 'totp';
+    } else if (BACKUP_CODE_PATTERN.test(code.trim()) &&
+        await totpDb.consumeBackupCode(userId, hashBackupCode(code.trim()))) {
+      method = 'backup_code';
+    }
+
+    if (method) {
+      await redisClient.sendCommand(['DEL', failuresKey(userId)]);
+      return { valid: true, method };
+    }
+    await this._recordFailure(userId);
+    return { valid: false };
+  }
+
+  /**
+   * Remove TOTP for a user
+   * @param {number} userId
+   */
+  async disable(userId) {
+    await totpDb.disableTotp(userId);
+  }
+
+  // Count a wrong code; the lockout window starts with the first one
+  async _recordFailure(userId) {
+    const failures = await redisClient.sendCommand(['INCR', failuresKey(userId)]);
+    if (Number(failures) === 1) {
+      await redisClient.sendCommand(['EXPIRE', failuresKey(userId), String(LOCKOUT_SECONDS)]);
+    }
+  }
+
+  // A code is accepted once per time step, so an intercepted code can't be replayed
+  async _checkTotp(userId, secret, code) {
+    const step = totp.verifyCode(secret, code);
+    if (step === null) return false;
+    const firstUse = await redisClient.sendCommand([
+      'SET', `auth:totp:used:${userId}:${step}`, '1', 'NX', 'EX', String(totp.STEP_SECONDS * 4)
+    ]);
+    return firstUse === 'OK';
+  }
+}
+
+module.exports = new TwoFactorService();
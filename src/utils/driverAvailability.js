@@ -0,0 +1,211 @@
+// src/utils/driverAvailability.js
+// Driver availability state machine. The current state lives in the Redis hash
+// driver:state:{id} (state, since, request_id, expires_at); no hash means
+// offline. Every change goes through a Lua compare-and-set so two requests
+// can't both move a driver, and users.is_online follows whether the driver is
+// offline or not. A dispatch that nobody resolves within DISPATCH_TTL_SECONDS
+// (say the server restarted mid-offer) reads as available again.
+//
+//   offline            -> available
+//   available          -> offline, on_break, dispatched
+//   on_break           -> available, offline
+//   dispatched         -> en_route_to_pickup (accepted), available (declined, timed out, cancelled)
+//   en_route_to_pickup -> on_trip (picked up), available (cancelled)
+//   on_trip            -> available (completed, cancelled)
+
+const redisClient = require('../db/redis');
+const userDb = require('../db/users');
+
+const STATES = ['offline', 'available', 'dispatched', 'en_route_to_pickup', 'on_trip', 'on_break'];
+
+const TRANSITIONS = {
+  offline: ['available'],
+  available: ['offline', 'on_break', 'dispatched'],
+  on_break: ['available', 'offline'],
+  dispatched: ['en_route_to_pickup', 'available'],
+  en_route_to_pickup: ['on_trip', 'available'],
+  on_trip: ['available']
+};
+
+// States tied to a ride request; the request id is kept alongside them
+const RIDE_STATES = ['dispatched', 'en_route_to_pickup', 'on_trip'];
+
+// How long a ride offer holds a driver (see notificationService)
+const DISPATCH_TTL_SECONDS = 120;
+
+// Move KEYS[1] to ARGV[1] if its current state is one of ARGV[6..] and, when
+// ARGV[4] is set and the driver is on a ride, it is that ride request. ARGV[2]
+// is now (ms), ARGV[3] the request id and ARGV[5] the expiry (ms) to keep with
+// the new state. Returns [moved (1/0), previous state, previous request id].
+const TRANSITION_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], 'state') or 'offline'
+local currentRequest = redis.call('HGET', KEYS[1], 'request_id') or ''
+local expiresAt = tonumber(redis.call('HGET', KEYS[1], 'expires_at') or '')
+if expiresAt and expiresAt <= tonumber(ARGV[2]) then
+  current = 'available'
+  currentRequest = ''
+end
+local allowed = false
+for i = 6, #ARGV do
+  if ARGV[i] == current then allowed = true end
+end
+if not allowed or (ARGV[4] ~= '' and currentRequest ~= '' and ARGV[4] ~= currentRequest) then
+  return { 0, current, currentRequest }
+end
+redis.call('DEL', KEYS[1])
+if ARGV[1] ~= 'offline' then
+  redis.call('HSET', KEYS[1], 'state', ARGV[1], 'since', ARGV[2])
+  if ARGV[3] ~= '' then
+    redis.call('HSET', KEYS[1], 'request_id', ARGV[3])
+  end
+  if ARGV[5] ~= '' then
+    redis.call('HSET', KEYS[1], 'expires_at', ARGV[5])
+  end
+end
+return { 1, current, currentRequest }
+`;
+
+// Set KEYS[1] to ARGV[1] (since ARGV[2], request ARGV[3]) only if the driver
+// has no state yet. Returns 1 if it was set.
+const RESTORE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return 0
+end
+redis.call('HSET', KEYS[1], 'state', ARGV[1], 'since', ARGV[2], 'request_id', ARGV[3])
+return 1
+`;
+
+function stateKey(driverId) {
+  return `driver:state:${driverId}`;
+}
+
+// A state past its expires_at has fallen back to available
+function hasExpired(expiresAt, now = Date.now()) {
+  return Boolean(expiresAt) && Number(expiresAt) <= now;
+}
+
+/**
+ * Whether the state machine allows moving from one state to another
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * A driver's current state
+ * @param {number|string} driverId
+ * @returns {Promise<{state: string, since: string|null, requestId: string|null}>}
+ */
+async function getState(driverId) {
+  const [state, since, requestId, expiresAt] = await redisClient.sendCommand([
+    'HMGET', stateKey(driverId), 'state', 'since', 'request_id', 'expires_at'
+  ]);
+  if (hasExpired(expiresAt)) {
+    return { state: 'available', since: new Date(Number(expiresAt)).toISOString(), requestId: null };
+  }
+  return {
+    state: state || 'offline',
+    since: since ? new Date(Number(since)).toISOString() : null,
+    requestId: requestId || null
+  };
+}
+
+/**
+ * Move a driver to a new state
+ * @param {number|string} driverId
+ * @param {string} to - Target state
+ * @param {object} [options]
+ * @param {string[]} [options.from] - Only move from these states (defaults to
+ *   every state the machine allows to reach `to`)
+ * @param {number|string} [options.requestId] - Ride request the driver is
+ *   being moved for. Stored with dispatched/en_route_to_pickup/on_trip; when
+ *   leaving one of those states it must match the stored one, so a late event
+ *   for an old ride can't move a driver who is on a new one.
+ * @returns {Promise<{ok: boolean, state: string, previous: string, error?: string}>}
+ *   error is INVALID_TRANSITION, or REQUEST_MISMATCH when the driver is on
+ *   another ride
+ */
+async function transition(driverId, to, { from, requestId } = {}) {
+  if (!STATES.includes(to)) {
+    throw new Error(`Unknown driver state: ${to}`);
+  }
+  const allowedFrom = (from || STATES).filter(state => canTransition(state, to));
+  if (allowedFrom.length === 0) {
+    return { ok: false, state: null, previous: null, error: 'INVALID_TRANSITION' };
+  }
+
+  const request = requestId !== undefined && requestId !== null ? String(requestId) : '';
+  const now = Date.now();
+  const [moved, previous, previousRequest] = await redisClient.sendCommand([
+    'EVAL', TRANSITION_SCRIPT, '1', stateKey(driverId),
+    to,
+    String(now),
+    RIDE_STATES.includes(to) ? request : '',
+    request,
+    to === 'dispatched' ? String(now + DISPATCH_TTL_SECONDS * 1000) : '',
+    ...allowedFrom
+  ]);
+
+  if (!Number(moved)) {
+    const error = allowedFrom.includes(previous) ? 'REQUEST_MISMATCH' : 'INVALID_TRANSITION';
+    return { ok: false, state: previous, previous, requestId: previousRequest || null, error };
+  }
+
+  // users.is_online only changes when the driver comes online or goes offline
+  if ((previous === 'offline') !== (to === 'offline')) {
+    try {
+      await userDb.updateUserById(driverId, { is_online: to !== 'offline' });
+    } catch (err) {
+      console.error(`Error mirroring online status for driver ${driverId}:`, err);
+    }
+  }
+
+  return { ok: true, state: to, previous };
+}
+
+/**
+ * Put a driver back on a ride after Redis lost their state, bypassing the
+ * state machine. Does nothing if the driver already has a state.
+ * @param {number|string} driverId
+ * @param {string} state - en_route_to_pickup or on_trip
+ * @param {number|string} requestId - The ride they are on
+ * @returns {Promise<boolean>} Whether the state was restored
+ */
+async function restoreRideState(driverId, state, requestId) {
+  if (!RIDE_STATES.includes(state) || state === 'dispatched') {
+    throw new Error(`Cannot restore driver state: ${state}`);
+  }
+  const restored = await redisClient.sendCommand([
+    'EVAL', RESTORE_SCRIPT, '1', stateKey(driverId), state, String(Date.now()), String(requestId)
+  ]);
+  return Number(restored) === 1;
+}
+
+/**
+ * States of several drivers at once, keyed by driver id
+ * @param {Array<number|string>} driverIds
+ * @returns {Promise<Map<string, string>>}
+ */
+async function getStates(driverIds) {
+  const states = new Map();
+  const now = Date.now();
+  for (const driverId of driverIds) {
+    const [state, expiresAt] = await redisClient.sendCommand(['HMGET', stateKey(driverId), 'state', 'expires_at']);
+    states.set(String(driverId), hasExpired(expiresAt, now) ? 'available' : state || 'offline');
+  }
+  return states;
+}
+
+module.exports = {
+  DISPATCH_TTL_SECONDS,
+  STATES,
+  TRANSITIONS,
+  canTransition,
+  getState,
+  getStates,
+  restoreRideState,
+  transition
+};
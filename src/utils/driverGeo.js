@@ -2,15 +2,18 @@
 // Utility for finding nearby drivers and filtering out stale ones using Redis GEO
 
 const redisClient = require('../db/redis');
+const driverAvailability = require('./driverAvailability');
+const driverLocks = require('./driverLocks');
 
 /**
- * Find nearby drivers using Redis GEO and filter out stale drivers
+ * Find nearby drivers using Redis GEO, keeping only fresh drivers who are
+ * available and not locked by another ride request
  * @param {Object} params
  * @param {number} params.lat - Latitude
  * @param {number} params.lng - Longitude
  * @param {number} [params.radius=5] - Radius in km
  * @param {number} [params.count=10] - Max number of drivers
- * @returns {Promise<Array>} Array of fresh driver objects
+ * @returns {Promise<Array>} Array of fresh, available driver objects
  */
 async function findFreshNearbyDrivers({ lat, lng, radius = 5, count = 10 }) {
   console.log('Finding fresh nearby drivers at:', { lat, lng, radius, count });
@@ -46,11 +49,21 @@ async function findFreshNearbyDrivers({ lat, lng, radius = 5, count = 10 }) {
     if (lastSeen) {
       freshDrivers.push(driver);
     } else {
-      // Remove stale driver from Redis GEO set
+      // Remove stale driver from Redis GEO set, and take them offline unless
+      // they are on a ride (losing GPS mid-trip shouldn't end it)
       await redisClient.sendCommand(['ZREM', 'drivers:online', `driver:${driver.driverId}`]);
+      await driverAvailability.transition(driver.driverId, 'offline', { from: ['available', 'on_break'] });
     }
   }
-  return freshDrivers;
+  // Only drivers waiting for a ride can be offered one: skip drivers on a
+  // trip or being offered another request (both hold a driver lock). Being
+  // queued for another request doesn't lock a driver until their turn comes.
+  const driverIds = freshDrivers.map(driver => driver.driverId);
+  const [states, locked] = await Promise.all([
+    driverAvailability.getStates(driverIds),
+    driverLocks.getLockedDrivers(driverIds)
+  ]);
+  return freshDrivers.filter(driver => states.get(driver.driverId) === 'available' && !locked.has(driver.driverId));
 }
 
 module.exports = {
@@ -0,0 +1,94 @@
+// src/utils/driverLocks.js
+// Per-driver locks that reserve a driver for one ride request. The key
+// driver:lock:{driverId} holds the request id; it is taken with SET NX when
+// the driver is offered the ride, so two requests queued at the same moment
+// can't both offer it to them, and is kept through the trip once the driver
+// accepts. Locks are only released by the request that holds them.
+
+const redisClient = require('../db/redis');
+const { DISPATCH_TTL_SECONDS } = require('./driverAvailability');
+
+// As long as the offer itself
+const OFFER_LOCK_TTL_SECONDS = DISPATCH_TTL_SECONDS;
+// Held from acceptance until the trip is completed or cancelled
+const TRIP_LOCK_TTL_SECONDS = 4 * 60 * 60;
+
+// DEL KEYS[1] if it still holds ARGV[1]
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// EXPIRE KEYS[1] by ARGV[2] seconds if it still holds ARGV[1]
+const EXTEND_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('EXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+function lockKey(driverId) {
+  return `driver:lock:${driverId}`;
+}
+
+/**
+ * Lock a driver for a request, unless another request holds them
+ * @param {number|string} driverId
+ * @param {number|string} requestId
+ * @param {number} [ttlSeconds]
+ * @returns {Promise<boolean>} Whether the driver is now locked for this request
+ */
+async function acquireDriverLock(driverId, requestId, ttlSeconds = OFFER_LOCK_TTL_SECONDS) {
+  const result = await redisClient.sendCommand([
+    'SET', lockKey(driverId), String(requestId), 'NX', 'EX', String(ttlSeconds)
+  ]);
+  return result === 'OK';
+}
+
+/**
+ * Release a driver's lock if this request holds it
+ * @param {number|string} driverId
+ * @param {number|string} requestId
+ * @returns {Promise<boolean>} Whether a lock was released
+ */
+async function releaseDriverLock(driverId, requestId) {
+  const released = await redisClient.sendCommand([
+    'EVAL', RELEASE_SCRIPT, '1', lockKey(driverId), String(requestId)
+  ]);
+  return Number(released) === 1;
+}
+
+/**
+ * Keep a driver locked for the length of a trip once they accept
+ * @param {number|string} driverId
+ * @param {number|string} requestId
+ * @returns {Promise<boolean>} False if the request no longer holds the lock
+ */
+async function extendDriverLock(driverId, requestId, ttlSeconds = TRIP_LOCK_TTL_SECONDS) {
+  const extended = await redisClient.sendCommand([
+    'EVAL', EXTEND_SCRIPT, '1', lockKey(driverId), String(requestId), String(ttlSeconds)
+  ]);
+  return Number(extended) === 1;
+}
+
+/**
+ * Which of the given drivers are locked by any request
+ * @param {Array<number|string>} driverIds
+ * @returns {Promise<Set<string>>}
+ */
+async function getLockedDrivers(driverIds) {
+  if (driverIds.length === 0) return new Set();
+  const holders = await redisClient.sendCommand(['MGET', ...driverIds.map(lockKey)]);
+  return new Set(driverIds.filter((driverId, i) => holders[i] !== null).map(String));
+}
+
+module.exports = {
+  OFFER_LOCK_TTL_SECONDS,
+  TRIP_LOCK_TTL_SECONDS,
+  acquireDriverLock,
+  releaseDriverLock,
+  extendDriverLock,
+  getLockedDrivers
+};
@@ -0,0 +1,125 @@
+// src/utils/earnings.js
+// Reporting periods and driver earnings summaries
+
+// Share of a passenger's cancellation fee paid out to the driver
+const CANCELLATION_FEE_DRIVER_SHARE = 0.8;
+// Currencies a trip can be priced in; fixed when the ride is requested. Hive
+// currencies can be billed with a payment request, fiat is settled off-chain.
+const CRYPTO_CURRENCIES = ['HBD', 'HIVE'];
+// ISO 4217 codes, e.g. FIAT_CURRENCIES=USD,EUR
+const FIAT_CURRENCIES = (process.env.FIAT_CURRENCIES || 'USD,EUR,GBP')
+  .split(',')
+  .map(code => code.trim().toUpperCase())
+  .filter(code => /^[A-Z]{3}$/.test(code) && !CRYPTO_CURRENCIES.includes(code));
+const ALLOWED_CURRENCIES = [...CRYPTO_CURRENCIES, ...FIAT_CURRENCIES];
+const DEFAULT_CURRENCY = 'HBD';
+const PERIODS = ['day', 'week', 'month', 'year'];
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight UTC of a YYYY-MM-DD day, or null for dates that don't exist
+ * (Date rolls 2026-02-30 over to March rather than rejecting it)
+ */
+function parseDay(day) {
+  const date = new Date(`${day}T00:00:00Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== day) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Resolve a reporting window from query parameters: either from/to dates
+ * (YYYY-MM-DD, both inclusive) or the current UTC day, week (from Monday),
+ * month or year up to now.
+ * @param {object} query - { period, from, to }
+ * @returns {{period?: string, start?: Date, end?: Date, error?: string}}
+ */
+function resolvePeriodRange({ period, from, to }) {
+  if (from || to) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to || '')) {
+      return { error: 'from and to must both be dates (YYYY-MM-DD)' };
+    }
+    const start = parseDay(from);
+    const last = parseDay(to);
+    if (!start || !last) {
+      return { error: 'from and to must be real calendar dates' };
+    }
+    const end = new Date(last.getTime() + DAY_MS);
+    if (start >= end) {
+      return { error: 'from must be on or before to' };
+    }
+    if ((end - start) / DAY_MS > MAX_RANGE_DAYS) {
+      return { error: `The date range can span at most ${MAX_RANGE_DAYS} days` };
+    }
+    return { period: 'custom', start, end };
+  }
+
+  const selected = period || 'week';
+  if (!PERIODS.includes(selected)) {
+    return { error: `period must be one of: ${PERIODS.join(', ')}` };
+  }
+
+  const now = new Date();
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const date = now.getUTCDate();
+  let start;
+  if (selected === 'day') {
+    start = new Date(Date.UTC(year, month, date));
+  } else if (selected === 'week') {
+    const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+    start = new Date(Date.UTC(year, month, date - daysSinceMonday));
+  } else if (selected === 'month') {
+    start = new Date(Date.UTC(year, month, 1));
+  } else {
+    start = new Date(Date.UTC(year, 0, 1));
+  }
+  return { period: selected, start, end: now };
+}
+
+// Hive amounts have three decimals, fiat two
+function round(amount, currency) {
+  const scale = CRYPTO_CURRENCIES.includes(currency) ? 1000 : 100;
+  return Math.round(Number(amount) * scale) / scale;
+}
+
+/**
+ * Turn getDriverEarnings rows into per-currency summaries
+ * @param {object[]} rows - From rideRequests.getDriverEarnings
+ * @returns {object[]}
+ */
+function summarizeEarnings(rows) {
+  return rows.map(row => {
+    const { currency } = row;
+    const fares = round(row.fares, currency);
+    const tips = round(row.tips, currency);
+    const cancellationFees = round(Number(row.cancellation_fees) * CANCELLATION_FEE_DRIVER_SHARE, currency);
+    const totalEarnings = round(fares + tips + cancellationFees, currency);
+    return {
+      currency,
+      currencyType: CRYPTO_CURRENCIES.includes(currency) ? 'crypto' : 'fiat',
+      totalEarnings,
+      tripCount: row.trip_count,
+      averagePerTrip: row.trip_count > 0 ? round((fares + tips) / row.trip_count, currency) : 0,
+      paidCancellations: row.paid_cancellations,
+      breakdown: {
+        fares,
+        tips,
+        cancellationFees
+      }
+    };
+  });
+}
+
+module.exports = {
+  ALLOWED_CURRENCIES,
+  CANCELLATION_FEE_DRIVER_SHARE,
+  CRYPTO_CURRENCIES,
+  DEFAULT_CURRENCY,
+  FIAT_CURRENCIES,
+  PERIODS,
+  resolvePeriodRange,
+  summarizeEarnings
+};
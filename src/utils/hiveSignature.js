@@ -0,0 +1,90 @@
+// src/utils/hiveSignature.js
+// Utility for verifying Hive signed messages against an account authority
+
+const { PublicKey, Signature } = require('@hiveio/dhive');
+
+/**
+ * Interpret a hex signature in every format we accept. Both formats are 65
+ * bytes, so a signature can match both layouts; recovering a key from the
+ * wrong layout yields a key that simply won't be in the account's authority.
+ *   - dhive / Hive Keychain compact: recovery byte first (27-34), then r|s
+ *   - raw: r|s followed by the recovery byte (0-3 or 27-34)
+ * @param {string} signatureHex - Hex-encoded 65-byte signature
+ * @returns {Signature[]} Candidate signatures
+ */
+function parseSignatureCandidates(signatureHex) {
+  if (typeof signatureHex !== 'string' || !/^[0-9a-fA-F]{130}$/.test(signatureHex)) {
+    return [];
+  }
+  const buffer = Buffer.from(signatureHex, 'hex');
+  const candidates = [];
+
+  const first = buffer[0];
+  if (first >= 27 && first <= 34) {
+    candidates.push(new Signature(buffer.slice(1), (first - 27) & 3));
+  }
+
+  const last = buffer[64];
+  if (last <= 3) {
+    candidates.push(new Signature(buffer.slice(0, 64), last));
+  } else if (last >= 27 && last <= 34) {
+    candidates.push(new Signature(buffer.slice(0, 64), (last - 27) & 3));
+  }
+
+  return candidates;
+}
+
+/**
+ * Recover the public keys that produced a set of signatures over a digest
+ * @param {Buffer} digest - 32-byte message digest
+ * @param {string[]} signatures - Hex-encoded signatures
+ * @returns {Set<string>} Recovered keys in STM... string form
+ */
+function recoverPublicKeys(digest, signatures) {
+  const keys = new Set();
+  for (const signatureHex of signatures) {
+    for (const candidate of parseSignatureCandidates(signatureHex)) {
+      try {
+        keys.add(candidate.recover(digest).toString());
+      } catch (err) {
+        // Not a valid point for this layout, try the next candidate
+      }
+    }
+  }
+  return keys;
+}
+
+/**
+ * Check whether signatures satisfy one of an account's authorities. Each
+ * matching key contributes its weight once; the sum must reach the
+ * authority's weight_threshold, so multi-sig accounts need enough signers.
+ * Delegated account_auths are not followed.
+ * @param {object} account - Account object from condenser_api.get_accounts
+ * @param {string} authorityName - 'posting' or 'active'
+ * @param {Buffer} digest - 32-byte message digest
+ * @param {string[]} signatures - Hex-encoded signatures
+ * @returns {{valid: boolean, weight: number, threshold: number}}
+ */
+function verifyAccountAuthority(account, authorityName, digest, signatures) {
+  const authority = account[authorityName];
+  if (!authority) {
+    return { valid: false, weight: 0, threshold: 0 };
+  }
+
+  const recoveredKeys = recoverPublicKeys(digest, signatures);
+  let weight = 0;
+  for (const [key, keyWeight] of authority.key_auths) {
+    if (recoveredKeys.has(PublicKey.fromString(key).toString())) {
+      weight += keyWeight;
+    }
+  }
+
+  const threshold = authority.weight_threshold;
+  return { valid: weight > 0 && weight >= threshold, weight, threshold };
+}
+
+module.exports = {
+  parseSignatureCandidates,
+  recoverPublicKeys,
+  verifyAccountAuthority
+};
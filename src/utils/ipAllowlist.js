@@ -0,0 +1,59 @@
+// src/utils/ipAllowlist.js
+// CIDR allowlists for API keys, matched with net.BlockList
+const net = require('net');
+
+/**
+ * Parse "10.0.0.0/8", "2001:db8::/32" or a bare address (treated as a single host)
+ * @param {string} cidr
+ * @returns {{address: string, prefix: number, type: string}|null} null if invalid
+ */
+function parseCidr(cidr) {
+  if (typeof cidr !== 'string') return null;
+  const [address, prefixText, extra] = cidr.trim().split('/');
+  const version = net.isIP(address);
+  if (!version || extra !== undefined) return null;
+
+  if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) return null;
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+  if (prefix > maxPrefix) return null;
+  return { address, prefix, type: version === 4 ? 'ipv4' : 'ipv6' };
+}
+
+/**
+ * Whether every entry is a valid CIDR
+ * @param {string[]} cidrs
+ */
+function validateCidrs(cidrs) {
+  return Array.isArray(cidrs) && cidrs.every(cidr => parseCidr(cidr) !== null);
+}
+
+/**
+ * Check a client IP against an allowlist. IPv4 clients seen through an IPv6
+ * socket ("::ffff:1.2.3.4") are matched as IPv4.
+ * @param {string} ip - Client address, e.g. req.ip
+ * @param {string[]} cidrs - Allowed ranges
+ * @returns {boolean}
+ */
+function isIpAllowed(ip, cidrs) {
+  if (!ip) return false;
+  const clientIp = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+  const version = net.isIP(clientIp);
+  if (!version) return false;
+
+  const blockList = new net.BlockList();
+  for (const cidr of cidrs) {
+    const range = parseCidr(cidr);
+    if (range) {
+      blockList.addSubnet(range.address, range.prefix, range.type);
+    }
+  }
+  return blockList.check(clientIp, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+module.exports = {
+  parseCidr,
+  validateCidrs,
+  isIpAllowed
+};
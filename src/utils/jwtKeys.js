@@ -0,0 +1,103 @@
+// src/utils/jwtKeys.js
+// Key store for asymmetric JWT signing (RS256 / ES256) with rotation and JWKS publishing
+//
+// Keys are PEM files in JWT_KEYS_DIR, named by key id (kid):
+//   <kid>.key.pem  private key - can sign, and verifies tokens signed with it
+//   <kid>.pub.pem  public key only - verifies tokens but never signs
+// JWT_ACTIVE_KID picks the signing key (defaults to the last private kid in
+// sort order). To rotate: add the new key, deploy, switch JWT_ACTIVE_KID, then
+// replace the old private key with its .pub.pem until its tokens have expired.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Signature algorithm for each supported key type
+function algorithmFor(keyObject) {
+  if (keyObject.asymmetricKeyType === 'rsa') return 'RS256';
+  if (keyObject.asymmetricKeyType === 'ec' && keyObject.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+  throw new Error(`Unsupported JWT key type: ${keyObject.asymmetricKeyType}`);
+}
+
+function loadKeysFromDir(dir) {
+  const keys = new Map();
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(/^(.+)\.(key|pub)\.pem$/);
+    if (!match) continue;
+    const [, kid, kind] = match;
+    const pem = fs.readFileSync(path.join(dir, file), 'utf8');
+    const privateKey = kind === 'key' ? crypto.createPrivateKey(pem) : null;
+    const publicKey = crypto.createPublicKey(privateKey || pem);
+    // A private key wins over a public-only file with the same kid
+    if (keys.has(kid) && !privateKey) continue;
+    keys.set(kid, { kid, alg: algorithmFor(publicKey), privateKey, publicKey });
+  }
+  return keys;
+}
+
+// Development fallback: an in-memory key that disappears on restart
+function generateEphemeralKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const kid = `dev-${crypto.randomBytes(4).toString('hex')}`;
+  return new Map([[kid, { kid, alg: 'ES256', privateKey, publicKey }]]);
+}
+
+function loadKeys() {
+  if (process.env.JWT_KEYS_DIR) {
+    return loadKeysFromDir(process.env.JWT_KEYS_DIR);
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_KEYS_DIR must be set in production');
+  }
+  console.warn('⚠️  JWT_KEYS_DIR not set, signing tokens with an ephemeral development key');
+  return generateEphemeralKey();
+}
+
+const keys = loadKeys();
+
+const signingKid = process.env.JWT_ACTIVE_KID ||
+  [...keys.values()].filter(key => key.privateKey).map(key => key.kid).pop();
+const signingKey = keys.get(signingKid);
+if (!signingKey || !signingKey.privateKey) {
+  throw new Error(`No private JWT key found for kid "${signingKid}"`);
+}
+
+/**
+ * The key new tokens are signed with
+ * @returns {{kid: string, alg: string, privateKey: crypto.KeyObject}}
+ */
+function getSigningKey() {
+  return signingKey;
+}
+
+/**
+ * Look up a verification key by kid
+ * @param {string} kid - Key id from the JWT header
+ * @returns {{kid: string, alg: string, publicKey: crypto.KeyObject}|undefined}
+ */
+function getVerificationKey(kid) {
+  return keys.get(kid);
+}
+
+/**
+ * Public keys as a JSON Web Key Set, for /.well-known/jwks.json
+ * @returns {{keys: object[]}}
+ */
+function getJWKS() {
+  return {
+    keys: [...keys.values()].map(key => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    }))
+  };
+}
+
+module.exports = {
+  getSigningKey,
+  getVerificationKey,
+  getJWKS
+};
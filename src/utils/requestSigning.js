@@ -0,0 +1,87 @@
+// src/utils/requestSigning.js
+// HMAC-SHA256 request signing for API keys, so server-to-server callers never
+// send their key on the wire. Each key's signing secret is derived from
+// API_KEY_SIGNING_SECRET and the key id, so it is never stored; it is shown
+// once when the key is created or rotated.
+//
+// A signed request sends:
+//   X-HTX-Key-Id     the API key's id
+//   X-HTX-Timestamp  unix time in seconds
+//   X-HTX-Nonce      random string, unique per request (8-128 chars)
+//   X-HTX-Signature  hex HMAC-SHA256(secret, stringToSign)
+// where stringToSign is, joined by newlines:
+//   METHOD, path with query string, timestamp, nonce, hex SHA-256 of the raw body
+const crypto = require('crypto');
+
+const MAX_CLOCK_SKEW_SECONDS = parseInt(process.env.API_KEY_SIGNATURE_MAX_SKEW_SECONDS, 10) || 300;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+function isSigningEnabled() {
+  return Boolean(process.env.API_KEY_SIGNING_SECRET);
+}
+
+/**
+ * Signing secret for an API key
+ * @param {number|string} keyId - api_keys.id
+ * @returns {string} Hex secret
+ */
+function deriveSigningSecret(keyId) {
+  return crypto
+    .createHmac('sha256', process.env.API_KEY_SIGNING_SECRET)
+    .update(`api-key-signing:${keyId}`)
+    .digest('hex');
+}
+
+/**
+ * Canonical string a request signature covers
+ * @param {object} parts - { method, path, timestamp, nonce, body }
+ * @returns {string}
+ */
+function buildStringToSign({ method, path, timestamp, nonce, body }) {
+  const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+  return [method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+}
+
+/**
+ * @param {string} secret - Signing secret from deriveSigningSecret
+ * @param {string} stringToSign - From buildStringToSign
+ * @returns {string} Hex signature
+ */
+function computeSignature(secret, stringToSign) {
+  return crypto.createHmac('sha256', secret).update(stringToSign).digest('hex');
+}
+
+/**
+ * Constant-time comparison of a received signature with the expected one
+ */
+function signaturesMatch(expected, received) {
+  if (typeof received !== 'string' || !/^[0-9a-fA-F]{64}$/.test(received)) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(received, 'hex'));
+}
+
+/**
+ * Whether a request timestamp is within the allowed clock skew
+ * @param {string} timestamp - Unix seconds from X-HTX-Timestamp
+ */
+function isTimestampFresh(timestamp) {
+  if (!/^\d{1,12}$/.test(timestamp || '')) return false;
+  const skew = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  return skew <= MAX_CLOCK_SKEW_SECONDS;
+}
+
+function isValidNonce(nonce) {
+  return typeof nonce === 'string' && NONCE_PATTERN.test(nonce);
+}
+
+module.exports = {
+  MAX_CLOCK_SKEW_SECONDS,
+  isSigningEnabled,
+  deriveSigningSecret,
+  buildStringToSign,
+  computeSignature,
+  signaturesMatch,
+  isTimestampFresh,
+  isValidNonce
+};
@@ -0,0 +1,61 @@
+// src/utils/scopes.js
+// Registry of API key scopes. Scopes are "resource:action" strings; a key can
+// also hold "resource:*" for every action on a resource, or "*" for everything.
+// Add new scopes here before using them in requireScope.
+
+const SCOPES = {
+  'communities:read': 'Read communities and their members (test keys read sandbox data)',
+  'communities:write': 'Register or update communities and add members to them'
+};
+
+/**
+ * Known scopes with their descriptions, for the admin UI
+ * @returns {{scope: string, description: string}[]}
+ */
+function listScopes() {
+  return Object.entries(SCOPES).map(([scope, description]) => ({ scope, description }));
+}
+
+/**
+ * Wildcards that can be granted: '*' plus one "resource:*" per resource
+ * @returns {string[]}
+ */
+function listWildcards() {
+  const resources = new Set(Object.keys(SCOPES).map(scope => scope.split(':')[0]));
+  return ['*', ...[...resources].map(resource => `${resource}:*`)];
+}
+
+/**
+ * Whether a scope may be granted to a key
+ * @param {string} scope
+ */
+function isKnownScope(scope) {
+  return Object.prototype.hasOwnProperty.call(SCOPES, scope) || listWildcards().includes(scope);
+}
+
+/**
+ * Whether a granted scope covers the required one
+ * @param {string} granted - Scope held by the key, possibly a wildcard
+ * @param {string} required - Scope the route needs
+ */
+function scopeCovers(granted, required) {
+  if (granted === '*' || granted === required) return true;
+  return granted.endsWith(':*') && required.startsWith(granted.slice(0, -1));
+}
+
+/**
+ * Whether any of a key's scopes covers the required one
+ * @param {string[]} scopes - Scopes held by the key
+ * @param {string} required - Scope the route needs
+ */
+function hasScope(scopes, required) {
+  return scopes.some(granted => scopeCovers(granted, required));
+}
+
+module.exports = {
+  SCOPES,
+  listScopes,
+  listWildcards,
+  isKnownScope,
+  hasScope
+};
@@ -0,0 +1,27 @@
+// src/utils/testAuth.js
+// Guards for the test-identity facility used by automated tests and local development
+
+/**
+ * Test identities exist only under NODE_ENV=test or with ENABLE_TEST_AUTH=true,
+ * and never in production, whatever the flags say
+ * @returns {boolean}
+ */
+function isTestAuthEnabled() {
+  if (process.env.NODE_ENV === 'production') return false;
+  return process.env.NODE_ENV === 'test' || process.env.ENABLE_TEST_AUTH === 'true';
+}
+
+/**
+ * Throw if the environment asks for test identities in production, so the
+ * server refuses to start instead of silently ignoring the flag
+ */
+function assertTestAuthConfig() {
+  if (process.env.NODE_ENV === 'production' && process.env.ENABLE_TEST_AUTH === 'true') {
+    throw new Error('ENABLE_TEST_AUTH must not be set when NODE_ENV=production');
+  }
+}
+
+module.exports = {
+  isTestAuthEnabled,
+  assertTestAuthConfig
+};
@@ -0,0 +1,64 @@
+// Admin API key routes reject IDs that can't name a key before querying for it
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const express = require('express');
+
+const lookedUp = [];
+
+// Replace a module with a fake before admin.js loads it
+function stub(request, exports) {
+  const file = require.resolve(path.join(__dirname, request));
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+const passThrough = (req, res, next) => next();
+
+stub('../src/db/redis', {});
+stub('../src/db/index', {});
+stub('../src/middleware/auth', (req, res, next) => {
+  req.user = { driverId: 1, type: 'admin' };
+  next();
+});
+stub('../src/middleware/authorize', { requireRole: () => passThrough });
+stub('../src/middleware/stepUp', { requireTotpEnrolled: passThrough, requireStepUp: passThrough });
+stub('../src/db/apiKeys', {
+  getAPIKeyById: async (id) => {
+    lookedUp.push(id);
+    return null;
+  }
+});
+
+const adminRoutes = require('../src/routes/admin');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  lookedUp.length = 0;
+});
+
+test('usage for a non-numeric key id is 404 without a lookup', async () => {
+  const res = await fetch(`${baseUrl}/api/admin/api-keys/abc/usage`);
+  assert.strictEqual(res.status, 404);
+  assert.deepStrictEqual(await res.json(), { error: 'NOT_FOUND', message: 'API key not found' });
+  assert.deepStrictEqual(lookedUp, []);
+});
+
+test('usage for a numeric key id looks the key up', async () => {
+  const res = await fetch(`${baseUrl}/api/admin/api-keys/42/usage`);
+  assert.strictEqual(res.status, 404);
+  assert.deepStrictEqual(lookedUp, ['42']);
+});
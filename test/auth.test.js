@@ -0,0 +1,137 @@
+// Auth routes: Hive login must never create or sign in an account type the
+// caller picks beyond driver and rider, and password reset requests must not
+// reveal which emails are registered
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const express = require('express');
+
+const created = [];
+let existingUser = null;
+let userByEmail = null;
+const resetEmails = [];
+
+// Replace a module with a fake before auth.js loads it
+function stub(request, exports) {
+  const file = require.resolve(request.startsWith('.') ? path.join(__dirname, request) : request);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+const passThrough = (req, res, next) => next();
+
+stub('../src/db/redis', {});
+stub('../src/db/index', {});
+stub('@hiveio/dhive', {
+  Client: class {
+    constructor() {
+      this.database = { getAccounts: async ([name]) => [{ name, reputation: 0, created: '2020-01-01T00:00:00' }] };
+    }
+  }
+});
+stub('../src/db/authChallenges', {
+  consumeChallenge: async () => ({ timestamp: 1 })
+});
+stub('../src/utils/hiveSignature', {
+  parseSignatureCandidates: () => [{}],
+  verifyAccountAuthority: () => ({ valid: true, weight: 1, threshold: 1 })
+});
+stub('../src/middleware/rateLimit', {
+  hiveAuthIpLimiter: passThrough,
+  hiveAuthUsernameLimiter: passThrough
+});
+stub('../src/services/twoFactorService', { isEnabled: async () => false });
+stub('../src/services/tokenService', {
+  startSession: async (user) => ({ token: `token-for-${user.type}`, refreshToken: 'refresh' })
+});
+stub('../src/db/passwordResets', {
+  createPasswordResetToken: async () => {}
+});
+stub('../src/services/emailService', {
+  sendPasswordReset: async (email) => {
+    resetEmails.push(email);
+    throw new Error('SMTP unavailable');
+  }
+});
+stub('../src/db/users', {
+  getUserByEmail: async () => userByEmail,
+  getUserByUsername: async () => existingUser,
+  createUser: async (fields) => {
+    created.push(fields);
+    return { id: created.length, type: fields.type, hive_username: fields.hiveUsername };
+  }
+});
+
+const authRoutes = require('../src/routes/auth');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  created.length = 0;
+  existingUser = null;
+  userByEmail = null;
+  resetEmails.length = 0;
+});
+
+function verify(body) {
+  return fetch(`${baseUrl}/api/auth/verify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'alice', challenge: 'abc', timestamp: 1, signature: 'sig', ...body })
+  });
+}
+
+test('rejects type admin without creating a user', async () => {
+  const res = await verify({ type: 'admin' });
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual(await res.json(), { error: 'Invalid user type', allowed: ['driver', 'rider'] });
+  assert.strictEqual(created.length, 0);
+});
+
+test('creates a rider when asked for one', async () => {
+  const res = await verify({ type: 'rider' });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(created.length, 1);
+  assert.strictEqual(created[0].type, 'rider');
+});
+
+test('signs a promoted admin in as their existing account', async () => {
+  existingUser = { id: 7, type: 'admin', hive_username: 'alice' };
+  const res = await verify({});
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).token, 'token-for-admin');
+  assert.strictEqual(created.length, 0);
+});
+
+function forgotPassword(email) {
+  return fetch(`${baseUrl}/api/auth/forgot-password`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email })
+  });
+}
+
+test('answers forgot-password the same for registered and unknown emails, even if sending fails', async () => {
+  const unknown = await forgotPassword('nobody@example.com');
+
+  userByEmail = { id: 3, email: 'rider@example.com', password_hash: 'hash' };
+  const registered = await forgotPassword('rider@example.com');
+
+  assert.strictEqual(unknown.status, 200);
+  assert.strictEqual(registered.status, 200);
+  assert.deepStrictEqual(await registered.json(), await unknown.json());
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(resetEmails, ['rider@example.com']);
+});
@@ -0,0 +1,40 @@
+// Reporting periods and per-currency earnings summaries
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  ALLOWED_CURRENCIES,
+  resolvePeriodRange,
+  summarizeEarnings
+} = require('../src/utils/earnings');
+
+test('accepts Hive currencies and the default fiat codes', () => {
+  assert.deepStrictEqual(ALLOWED_CURRENCIES, ['HBD', 'HIVE', 'USD', 'EUR', 'GBP']);
+});
+
+test('summarizes Hive amounts to three decimals and fiat to two', () => {
+  const [hbd, usd] = summarizeEarnings([
+    { currency: 'HBD', fares: '10.1234', tips: '1', cancellation_fees: '5', trip_count: 2, paid_cancellations: 1 },
+    { currency: 'USD', fares: '10.1234', tips: '1', cancellation_fees: '0', trip_count: 1, paid_cancellations: 0 }
+  ]);
+
+  assert.deepStrictEqual(hbd, {
+    currency: 'HBD',
+    currencyType: 'crypto',
+    totalEarnings: 15.123,
+    tripCount: 2,
+    averagePerTrip: 5.562,
+    paidCancellations: 1,
+    breakdown: { fares: 10.123, tips: 1, cancellationFees: 4 }
+  });
+  assert.strictEqual(usd.currencyType, 'fiat');
+  assert.strictEqual(usd.totalEarnings, 11.12);
+  assert.deepStrictEqual(usd.breakdown, { fares: 10.12, tips: 1, cancellationFees: 0 });
+});
+
+test('reports impossible dates separately from a reversed range', () => {
+  assert.deepStrictEqual(resolvePeriodRange({ from: '2026-02-30', to: '2026-03-01' }),
+    { error: 'from and to must be real calendar dates' });
+  assert.deepStrictEqual(resolvePeriodRange({ from: '2026-03-02', to: '2026-03-01' }),
+    { error: 'from must be on or before to' });
+});
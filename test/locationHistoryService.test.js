@@ -0,0 +1,139 @@
+// Location history buffering, and putting drivers back after Redis loses its data
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Replace a module with a fake before locationHistoryService loads it
+function stub(request, exports) {
+  const file = require.resolve(path.join(__dirname, request));
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+const calls = [];
+let recentDrivers = [];
+let activeTrips = [];
+const lists = new Map();
+const inserted = [];
+// Fails an insert that includes a ping for this driver id
+let insertError = null;
+
+function list(key) {
+  if (!lists.has(key)) lists.set(key, []);
+  return lists.get(key);
+}
+
+stub('../src/db/redis', {
+  sendCommand: async ([command, key, ...args]) => {
+    switch (command) {
+      case 'EXISTS':
+        return 0;
+      case 'LPOP':
+        return list(key).splice(0, Number(args[0]));
+      case 'LPUSH':
+        list(key).unshift(...[...args].reverse());
+        return list(key).length;
+      case 'RPUSH':
+        list(key).push(...args);
+        return list(key).length;
+      default:
+        return 'OK';
+    }
+  },
+  geoAdd: async () => 1
+});
+stub('../src/db/driverLocations', {
+  getRecentLastLocations: async () => recentDrivers,
+  ensurePartition: async () => {},
+  insertLocations: async (pings) => {
+    if (insertError && pings.some(ping => ping.driverId === insertError.driverId)) {
+      throw insertError.error;
+    }
+    inserted.push(...pings);
+  },
+  updateLastKnownLocations: async () => {}
+});
+stub('../src/db/rideRequests', {
+  getActiveTripsForDrivers: async () => activeTrips
+});
+stub('../src/utils/driverAvailability', {
+  transition: async (driverId, to, options) => {
+    calls.push(['transition', driverId, to, options]);
+    return { ok: true };
+  },
+  restoreRideState: async (driverId, state, requestId) => {
+    calls.push(['restoreRideState', driverId, state, requestId]);
+    return true;
+  }
+});
+stub('../src/utils/driverLocks', {
+  TRIP_LOCK_TTL_SECONDS: 14400,
+  acquireDriverLock: async (driverId, requestId, ttlSeconds) => {
+    calls.push(['acquireDriverLock', driverId, requestId, ttlSeconds]);
+    return true;
+  }
+});
+
+const locationHistoryService = require('../src/services/locationHistoryService');
+
+function seen(id) {
+  return { id, last_lat: 1, last_long: 2, last_location_at: new Date().toISOString() };
+}
+
+function ping(driverId) {
+  return JSON.stringify({
+    driverId, latitude: 1, longitude: 2, speed: null, heading: null, accuracy: null,
+    recordedAt: '2026-10-19T12:00:00.000Z'
+  });
+}
+
+function pgError(code) {
+  return Object.assign(new Error(`pg error ${code}`), { code });
+}
+
+beforeEach(() => {
+  calls.length = 0;
+  recentDrivers = [];
+  activeTrips = [];
+  lists.clear();
+  inserted.length = 0;
+  insertError = null;
+});
+
+test('sets aside unparseable entries and rows Postgres rejects, and writes the rest', async () => {
+  list('drivers:location:buffer').push(ping(1), 'not json', ping(2), ping(3));
+  insertError = { driverId: 2, error: pgError('23503') };
+
+  await locationHistoryService.flush();
+
+  assert.deepStrictEqual(inserted.map(p => p.driverId), [1, 3]);
+  assert.deepStrictEqual(list('drivers:location:dead'), ['not json', ping(2)]);
+  assert.deepStrictEqual(list('drivers:location:buffer'), []);
+});
+
+test('puts the batch back in order when Postgres is unreachable', async () => {
+  list('drivers:location:buffer').push(ping(1), ping(2), 'not json');
+  insertError = { driverId: 1, error: pgError('ECONNREFUSED') };
+
+  await assert.rejects(locationHistoryService.flush());
+
+  assert.deepStrictEqual(list('drivers:location:buffer'), [ping(1), ping(2)]);
+  assert.deepStrictEqual(list('drivers:location:dead'), ['not json']);
+  assert.deepStrictEqual(inserted, []);
+});
+
+test('restores drivers on a trip to their ride state and lock, others as available', async () => {
+  recentDrivers = [seen(1), seen(2), seen(3)];
+  activeTrips = [
+    { id: 10, driver_id: 1, status: 'accepted' },
+    { id: 11, driver_id: 2, status: 'in_transit' }
+  ];
+
+  assert.strictEqual(await locationHistoryService.restoreOnlineDrivers(), 3);
+  assert.deepStrictEqual(calls, [
+    ['acquireDriverLock', 1, 10, 14400],
+    ['restoreRideState', 1, 'en_route_to_pickup', 10],
+    ['acquireDriverLock', 2, 11, 14400],
+    ['restoreRideState', 2, 'on_trip', 11],
+    ['transition', 3, 'available', { from: ['offline'] }]
+  ]);
+});
@@ -0,0 +1,52 @@
+// "Log out everywhere" revokes the tokens issued before it, not the ones after
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Replace a module with a fake before tokenService loads it
+function stub(request, exports) {
+  const file = require.resolve(path.join(__dirname, request));
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+const store = new Map();
+stub('../src/db/redis', {
+  sendCommand: async ([command, key, value]) => {
+    if (command === 'SET') {
+      store.set(key, value);
+      return 'OK';
+    }
+    if (command === 'GET') return store.has(key) ? store.get(key) : null;
+    if (command === 'EXISTS') return store.has(key) ? 1 : 0;
+    throw new Error(`Unexpected command ${command}`);
+  }
+});
+stub('../src/db/sessions', { revokeUserSessions: async () => {} });
+stub('../src/db/refreshTokens', { revokeUserRefreshTokens: async () => {} });
+
+const tokenService = require('../src/services/tokenService');
+
+const REVOKED_AT = Date.UTC(2026, 9, 19, 12, 0, 0, 500);
+
+function claims(issuedAtMs) {
+  return { driverId: 7, iat: Math.floor(issuedAtMs / 1000), iatMs: issuedAtMs };
+}
+
+beforeEach(async () => {
+  store.clear();
+  mock.method(Date, 'now', () => REVOKED_AT);
+  await tokenService.revokeAllForUser(7);
+  mock.restoreAll();
+});
+
+test('revokes a token issued earlier in the same second', async () => {
+  assert.strictEqual(await tokenService.isAccessTokenRevoked(claims(REVOKED_AT - 200)), true);
+});
+
+test('keeps a token issued later in the same second', async () => {
+  assert.strictEqual(await tokenService.isAccessTokenRevoked(claims(REVOKED_AT + 200)), false);
+});
+
+test('leaves other users alone', async () => {
+  assert.strictEqual(await tokenService.isAccessTokenRevoked({ ...claims(REVOKED_AT - 200), driverId: 8 }), false);
+});
@@ -0,0 +1,90 @@
+// Wrong two-factor codes lock a user out before the code space can be searched
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+
+// Replace a module with a fake before twoFactorService loads it
+function stub(request, exports) {
+  const file = require.resolve(path.join(__dirname, request));
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+// Just enough of Redis for the service: strings with an expiry
+const store = new Map();
+stub('../src/db/redis', {
+  sendCommand: async ([command, key, ...args]) => {
+    switch (command) {
+      case 'GET':
+        return store.has(key) ? store.get(key).value : null;
+      case 'TTL':
+        return store.has(key) ? store.get(key).ttl : -2;
+      case 'INCR': {
+        const entry = store.get(key) || { value: '0', ttl: -1 };
+        entry.value = String(Number(entry.value) + 1);
+        store.set(key, entry);
+        return Number(entry.value);
+      }
+      case 'EXPIRE':
+        store.get(key).ttl = Number(args[0]);
+        return 1;
+      case 'DEL':
+        return store.delete(key) ? 1 : 0;
+      case 'SET':
+        if (args.includes('NX') && store.has(key)) return null;
+        store.set(key, { value: args[0], ttl: Number(args[args.indexOf('EX') + 1]) });
+        return 'OK';
+      default:
+        throw new Error(`Unexpected command ${command}`);
+    }
+  }
+});
+stub('../src/db/totp', {
+  getTotp: async () => ({ secret: SECRET, enabled_at: new Date() }),
+  consumeBackupCode: async () => false
+});
+
+const totp = require('../src/utils/totp');
+const twoFactorService = require('../src/services/twoFactorService');
+
+function currentCode() {
+  return totp.generateCode(SECRET, Math.floor(Date.now() / 1000 / totp.STEP_SECONDS));
+}
+
+function wrongCode() {
+  const valid = new Set([-1, 0, 1].map(offset =>
+    totp.generateCode(SECRET, Math.floor(Date.now() / 1000 / totp.STEP_SECONDS) + offset)));
+  for (let n = 0; ; n++) {
+    const code = String(n).padStart(6, '0');
+    if (!valid.has(code)) return code;
+  }
+}
+
+beforeEach(() => store.clear());
+
+test('locks the user out after five wrong codes, even for the right one', async () => {
+  for (let i = 0; i < 5; i++) {
+    assert.deepStrictEqual(await twoFactorService.verify(1, wrongCode()), { valid: false });
+  }
+  const result = await twoFactorService.verify(1, currentCode());
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.locked, true);
+  assert.strictEqual(result.retryAfter, 15 * 60);
+});
+
+test('a correct code clears earlier failures', async () => {
+  for (let i = 0; i < 4; i++) {
+    await twoFactorService.verify(2, wrongCode());
+  }
+  assert.deepStrictEqual(await twoFactorService.verify(2, currentCode()), { valid: true, method: 'totp' });
+  assert.deepStrictEqual(await twoFactorService.verify(2, wrongCode()), { valid: false });
+  assert.strictEqual(store.get('auth:totp:failures:2').value, '1');
+});
+
+test('failures are counted per user', async () => {
+  for (let i = 0; i < 5; i++) {
+    await twoFactorService.verify(3, wrongCode());
+  }
+  assert.deepStrictEqual(await twoFactorService.verify(4, currentCode()), { valid: true, method: 'totp' });
+});